@@ -1,3 +1,5 @@
+import { timingSafeEqual } from "node:crypto";
+
 const getCulqiEnv = () => (process.env.CULQI_ENV || "live").toLowerCase();
 
 export const getCulqiBaseUrl = () => {
@@ -35,3 +37,38 @@ export const createCulqiOrder = async (payload) => {
 
   return data;
 };
+
+export const getCulqiOrder = async (orderId) => {
+  const secretKey = getCulqiSecretKey();
+
+  const response = await fetch(`${getCulqiBaseUrl()}/orders/${encodeURIComponent(orderId)}`, {
+    headers: {
+      Authorization: `Bearer ${secretKey}`,
+      "Content-Type": "application/json",
+    },
+  });
+
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data?.user_message || data?.message || "Culqi error");
+  }
+
+  return data;
+};
+
+export const verifyCulqiWebhook = (headers) => {
+  const username = process.env.CULQI_WEBHOOK_USER;
+  const password = process.env.CULQI_WEBHOOK_PASSWORD;
+  if (!username || !password) {
+    throw new Error("Missing CULQI_WEBHOOK_USER or CULQI_WEBHOOK_PASSWORD");
+  }
+
+  const header = headers.authorization || "";
+  if (!header.startsWith("Basic ")) {
+    return false;
+  }
+
+  const expected = Buffer.from(`${username}:${password}`);
+  const received = Buffer.from(header.slice("Basic ".length).trim(), "base64");
+  return expected.length === received.length && timingSafeEqual(expected, received);
+};
@@ -0,0 +1,16 @@
+import "dotenv/config";
+import { cert, initializeApp } from "firebase-admin/app";
+import { getAuth } from "firebase-admin/auth";
+import { getFirestore } from "firebase-admin/firestore";
+
+const rawServiceAccount = process.env.FIREBASE_SERVICE_ACCOUNT;
+
+if (!rawServiceAccount) {
+  throw new Error("Missing FIREBASE_SERVICE_ACCOUNT");
+}
+
+const serviceAccount = JSON.parse(rawServiceAccount);
+initializeApp({ credential: cert(serviceAccount) });
+
+export const auth = getAuth();
+export const db = getFirestore();
@@ -0,0 +1,40 @@
+import { db } from "./firebase.js";
+
+const FX_PEN_TO_USD = Number.parseFloat(process.env.FX_PEN_TO_USD || "0.27");
+
+export const SUPPORTED_CURRENCIES = ["PEN", "USD"];
+
+export const round2 = (value) => Math.round(Number(value) * 100) / 100;
+
+export const toRateDate = (value = new Date()) => new Date(value).toISOString().slice(0, 10);
+
+export const getFxRate = async (at = new Date()) => {
+  const snap = await db
+    .collection("fxRates")
+    .where("effectiveDate", "<=", toRateDate(at))
+    .orderBy("effectiveDate", "desc")
+    .limit(1)
+    .get();
+
+  if (snap.empty) {
+    return { penToUsd: FX_PEN_TO_USD, effectiveDate: null, source: "env" };
+  }
+
+  const data = snap.docs[0].data();
+  return { penToUsd: Number(data.penToUsd), effectiveDate: data.effectiveDate, source: "fxRates" };
+};
+
+export const convertAmount = (amount, currency, fx) => {
+  const value = Number(amount || 0);
+  if (currency === "USD") {
+    return { amountUsd: round2(value), amountPen: round2(value / fx.penToUsd) };
+  }
+  return { amountUsd: round2(value * fx.penToUsd), amountPen: round2(value) };
+};
+
+export const fxStamp = (currency, fx) => ({
+  currency,
+  fxRate: fx.penToUsd,
+  fxRateDate: fx.effectiveDate,
+  fxRateSource: fx.source,
+});
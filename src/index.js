@@ -1,28 +1,66 @@
-import "dotenv/config";
+import { createHash, randomUUID, timingSafeEqual } from "node:crypto";
 import express from "express";
 import cors from "cors";
 import morgan from "morgan";
-import { cert, initializeApp } from "firebase-admin/app";
-import { getAuth } from "firebase-admin/auth";
-import { FieldValue, Timestamp, getFirestore } from "firebase-admin/firestore";
+import { FieldValue, Timestamp } from "firebase-admin/firestore";
 import { z } from "zod";
-import { getPaypalBaseUrl, getPaypalToken, verifyPaypalWebhook } from "./paypal.js";
-import { createCulqiOrder } from "./culqi.js";
+import { auth, db } from "./firebase.js";
+import { releaseCommissionsPage, releaseDueCommissions } from "./jobs/releaseCommissions.js";
+import {
+  MAX_LEVELS,
+  defaultPlans,
+  invalidatePlanCatalog,
+  loadPlanCatalog,
+  serializePlan,
+} from "./plans.js";
+import { defaultTools, invalidateToolCatalog, loadTools, serializeTool } from "./tools.js";
+import { getLaunchJwks, signLaunchToken, verifyLaunchToken } from "./launchTokens.js";
+import { SUPPORTED_CURRENCIES, convertAmount, fxStamp, getFxRate, round2, toRateDate } from "./fx.js";
+import {
+  cancelPaypalSubscription,
+  createPaypalPayoutBatch,
+  getPaypalBaseUrl,
+  getPaypalPayoutBatch,
+  getPaypalSubscription,
+  getPaypalToken,
+  revisePaypalSubscription,
+  verifyPaypalWebhook,
+} from "./paypal.js";
+import { createCulqiOrder, getCulqiOrder, verifyCulqiWebhook } from "./culqi.js";
+import {
+  OUTBOUND_EVENT_TYPES,
+  createEndpointSecret,
+  deliverDueWebhooks,
+  emitEvent,
+  isPublicWebhookUrl,
+  redeliver,
+} from "./outboundWebhooks.js";
+import { rateLimit } from "./rateLimit.js";
+import { SALES_KEY_SCOPES, createSalesKey, findSalesKey, matchesLegacyKey } from "./salesKeys.js";
+import {
+  NOTIFICATION_TYPES,
+  deliverDueNotifications,
+  notificationPreferences,
+  queueCommissionNotifications,
+  queueNotification,
+} from "./notifications.js";
+import {
+  adjustMemberEarnings,
+  adjustNetworkCounts,
+  ancestorsFor,
+  detachUser,
+  isDescendantOf,
+  levelOf,
+  reassignSponsor,
+} from "./network.js";
 
 const PORT = process.env.PORT || 8080;
-const rawServiceAccount = process.env.FIREBASE_SERVICE_ACCOUNT;
-
-if (!rawServiceAccount) {
-  throw new Error("Missing FIREBASE_SERVICE_ACCOUNT");
-}
-
-const serviceAccount = JSON.parse(rawServiceAccount);
-initializeApp({ credential: cert(serviceAccount) });
-
-const auth = getAuth();
-const db = getFirestore();
+const TRUST_PROXY_HOPS = Number.parseInt(process.env.TRUST_PROXY_HOPS || "1", 10);
 
 const app = express();
+// Cloud Run appends the caller's address to `x-forwarded-for`; only that hop is trusted, so
+// `req.ip` can't be spoofed by sending the header ourselves.
+app.set("trust proxy", TRUST_PROXY_HOPS);
 
 const adminEmails = (process.env.ADMIN_EMAILS || "")
   .split(",")
@@ -49,137 +87,37 @@ app.use(
 );
 app.use(express.json({ limit: "1mb" }));
 app.use(morgan("tiny"));
-
-const plans = [
-  {
-    id: "basic",
-    name: "Basico",
-    price: 50,
-    commission: 50,
-    description: "Ideal para comenzar con tus herramientas y generar tus primeras comisiones.",
-    features: [
-      "Acceso a 3 Apps (ContApp, Fast Page, Lead Widget)",
-      "Comision Nivel 1: 50%",
-      "Soporte por email",
-      "Panel de afiliados basico",
-    ],
-  },
-  {
-    id: "pro",
-    name: "Pro",
-    price: 75,
-    commission: 70,
-    description: "Desbloquea el siguiente nivel de comisiones y maximiza tu red.",
-    features: [
-      "Todo en Basico",
-      "Comision Nivel 2: 20% (Total: 70%)",
-      "Reportes avanzados",
-      "Soporte prioritario",
-      "Badge exclusivo de Pro",
-    ],
-  },
-  {
-    id: "elite",
-    name: "Elite",
-    price: 99,
-    commission: 85,
-    description: "Acceso VIP. Desbloquea los 4 niveles y maximiza tus ingresos pasivos.",
-    features: [
-      "Todo en Pro",
-      "Comision Nivel 3: 10%",
-      "Comision Nivel 4: 5% (Total: 85%)",
-      "Acceso VIP a nuevas herramientas",
-      "Soporte 1:1 personalizado",
-      "Webinars exclusivos",
-    ],
-  },
-];
-
-const planOrder = ["basic", "pro", "elite"];
-const commissionByLevel = {
-  1: 50,
-  2: 20,
-  3: 10,
-  4: 5,
-};
+app.use((req, res, next) => {
+  req.id = String(req.headers["x-request-id"] || "").slice(0, 100) || randomUUID();
+  res.setHeader("x-request-id", req.id);
+  next();
+});
 
 const SALES_API_KEY = process.env.SALES_API_KEY || "";
-const FX_PEN_TO_USD = Number.parseFloat(process.env.FX_PEN_TO_USD || "0.27");
+const REFERRAL_IP_SALT = process.env.REFERRAL_IP_SALT || "";
+const JOBS_API_KEY = process.env.JOBS_API_KEY || "";
+const COMMISSIONS_EXPORT_LIMIT = 5000;
+const RELEASE_MAX_BATCHES = Number.parseInt(process.env.RELEASE_MAX_BATCHES || "10", 10);
 const REFUND_HOLD_DAYS = Number.parseInt(process.env.REFUND_HOLD_DAYS || "14", 10);
 const PAYOUT_MIN_USD = Number.parseFloat(process.env.PAYOUT_MIN_USD || "100");
-const PAYPAL_PLAN_ID_BASIC = process.env.PAYPAL_PLAN_ID_BASIC || "";
-const PAYPAL_PLAN_ID_PRO = process.env.PAYPAL_PLAN_ID_PRO || "";
-const PAYPAL_PLAN_ID_ELITE = process.env.PAYPAL_PLAN_ID_ELITE || "";
+const HOUSE_ACCOUNT_UID = process.env.HOUSE_ACCOUNT_UID || "";
+const MEMBER_WEBHOOK_LIMIT = 5;
+const ACCOUNT_CLOSURE_DAYS = Number.parseInt(process.env.ACCOUNT_CLOSURE_DAYS || "14", 10);
+const CLOSURE_RECHECK_MS = 6 * 60 * 60 * 1000;
+const CLOSURE_JOB_LIMIT = 50;
+const PAYPAL_PAYOUT_BATCH_SIZE = Number.parseInt(process.env.PAYPAL_PAYOUT_BATCH_SIZE || "100", 10);
 const CULQI_PUBLIC_KEY = process.env.CULQI_PUBLIC_KEY || "";
 const CULQI_SECRET_KEY = process.env.CULQI_SECRET_KEY || "";
 const CULQI_ORDER_EXP_MINUTES = Number.parseInt(process.env.CULQI_ORDER_EXP_MINUTES || "30", 10);
-
-const planPricesPen = {
-  basic: 50,
-  pro: 75,
-  elite: 99,
-};
-
-const defaultTools = [
-  {
-    id: "contapp",
-    name: "ContApp",
-    description: "Sistema de contabilidad inteligente para freelancers y PYMEs.",
-    color: "emerald",
-    minPlan: "basic",
-  },
-  {
-    id: "fastpage",
-    name: "Fast Page",
-    description: "Crea landing pages profesionales en minutos, sin codigo.",
-    color: "blue",
-    minPlan: "basic",
-  },
-  {
-    id: "leadwidget",
-    name: "Lead Widget",
-    description: "Captura leads automaticamente desde tu web o redes sociales.",
-    color: "purple",
-    minPlan: "basic",
-  },
-];
-
-const planRank = (plan) => {
-  const index = planOrder.indexOf(plan);
-  return index === -1 ? 0 : index;
-};
-
-const planLevelCap = (plan) => {
-  if (plan === "elite") return 4;
-  if (plan === "pro") return 2;
-  return 1;
-};
-
-const planFromId = (planId) => {
-  if (!planId) return null;
-  if (planId === PAYPAL_PLAN_ID_BASIC) return "basic";
-  if (planId === PAYPAL_PLAN_ID_PRO) return "pro";
-  if (planId === PAYPAL_PLAN_ID_ELITE) return "elite";
-  return null;
-};
-
-const getPlanId = (planCode) => {
-  if (planCode === "basic") return PAYPAL_PLAN_ID_BASIC;
-  if (planCode === "pro") return PAYPAL_PLAN_ID_PRO;
-  if (planCode === "elite") return PAYPAL_PLAN_ID_ELITE;
-  return null;
-};
+const CULQI_PERIOD_DAYS = Number.parseInt(process.env.CULQI_PERIOD_DAYS || "30", 10);
 
 const getBaseUrl = (req) => {
   return process.env.APP_BASE_URL || req.headers.origin || `https://${req.headers.host}`;
 };
 
 const formatUsd = (value) => `$ ${Number(value || 0).toFixed(2)}`;
-const round2 = (value) => Math.round(Number(value) * 100) / 100;
-const penToUsd = (penValue) => round2(Number(penValue || 0) * FX_PEN_TO_USD);
 const holdUntilDate = () =>
   Timestamp.fromDate(new Date(Date.now() + REFUND_HOLD_DAYS * 24 * 60 * 60 * 1000));
-const getPlanPricePen = (plan) => planPricesPen[plan] ?? null;
 const toCulqiAmount = (penValue) => Math.round(Number(penValue || 0) * 100);
 const buildOrderNumber = () =>
   `AP-${Date.now()}-${Math.random().toString(36).slice(2, 6).toUpperCase()}`;
@@ -202,7 +140,12 @@ const requireAuth = async (req, res, next) => {
 
   try {
     const token = header.replace("Bearer ", "");
-    const decoded = await auth.verifyIdToken(token);
+    let decoded = await auth.verifyIdToken(token);
+    // Staff tokens are also checked for revocation, so a demoted or disabled admin loses access
+    // right away instead of when the token expires.
+    if (adminRoleOf(decoded)) {
+      decoded = await auth.verifyIdToken(token, true);
+    }
     req.user = decoded;
     return next();
   } catch (error) {
@@ -210,14 +153,78 @@ const requireAuth = async (req, res, next) => {
   }
 };
 
-const requireAdmin = (req, res, next) => {
-  if (!adminEmails.length) {
-    return res.status(403).json({ error: "Admin access not configured" });
+const ADMIN_ROLES = ["owner", "admin", "finance", "support", "readonly"];
+const ROLES_OWNER = ["owner"];
+const ROLES_ADMIN = ["owner", "admin"];
+const ROLES_FINANCE = ["owner", "admin", "finance"];
+const ROLES_SUPPORT = ["owner", "admin", "support"];
+const ROLES_STAFF = ["owner", "admin", "finance", "support"];
+const ROLES_READ = ADMIN_ROLES;
+
+// `ADMIN_EMAILS` are always owners so the first role can be granted without a console.
+const adminRoleOf = (user) => {
+  if (adminEmails.includes((user?.email || "").toLowerCase())) return "owner";
+  return ADMIN_ROLES.includes(user?.role) ? user.role : null;
+};
+
+const isAdminUser = (user) => !!adminRoleOf(user);
+
+// Staff may only act on accounts whose role ranks below their own (earlier in `ADMIN_ROLES`).
+const outranks = (actorRole, targetRole) =>
+  !targetRole || ADMIN_ROLES.indexOf(actorRole) < ADMIN_ROLES.indexOf(targetRole);
+
+const adminRoleOfUid = async (uid) => {
+  try {
+    const authUser = await auth.getUser(uid);
+    return adminRoleOf({ email: authUser.email, role: authUser.customClaims?.role });
+  } catch (error) {
+    if (error?.code === "auth/user-not-found") return null;
+    throw error;
   }
-  const email = (req.user?.email || "").toLowerCase();
-  if (!adminEmails.includes(email)) {
+};
+
+const requireRole = (roles) => (req, res, next) => {
+  const role = adminRoleOf(req.user);
+  if (!role || !roles.includes(role)) {
     return res.status(403).json({ error: "Forbidden" });
   }
+  req.adminRole = role;
+  return next();
+};
+
+// `SALES_API_KEY` is still accepted (as source "legacy") until every integration has its own key.
+const requireSalesKey = (scope) => async (req, res, next) => {
+  const headerKey = String(req.headers["x-sales-key"] || "");
+  if (matchesLegacyKey(headerKey, SALES_API_KEY)) {
+    req.salesKey = { id: null, source: "legacy", scopes: SALES_KEY_SCOPES };
+    return next();
+  }
+
+  try {
+    const salesKey = await findSalesKey(headerKey);
+    if (!salesKey) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+    if (!(salesKey.scopes || []).includes(scope)) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+    req.salesKey = salesKey;
+    return next();
+  } catch (error) {
+    return res.status(500).json({ error: error?.message || "Server error" });
+  }
+};
+
+const requireJobKey = (req, res, next) => {
+  if (!JOBS_API_KEY) {
+    return res.status(500).json({ error: "Jobs key not configured" });
+  }
+
+  const expected = Buffer.from(JOBS_API_KEY);
+  const received = Buffer.from(String(req.headers["x-job-key"] || ""));
+  if (expected.length !== received.length || !timingSafeEqual(expected, received)) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
   return next();
 };
 
@@ -239,6 +246,123 @@ const findUserByReferral = async (referralCode) => {
 
 const isValidReferralCode = (code) => /^AF-[A-Z0-9]{4,}$/.test(code);
 
+const clientIp = (req) => req.ip || req.socket?.remoteAddress || "";
+
+const limitByIp = (name, max, windowSeconds) =>
+  rateLimit({ name, max, windowSeconds, key: (req) => clientIp(req) });
+const limitByUid = (name, max, windowSeconds) =>
+  rateLimit({ name, max, windowSeconds, key: (req) => req.user?.uid });
+const limitBySalesKey = (name, max, windowSeconds) =>
+  rateLimit({ name, max, windowSeconds, key: (req) => req.salesKey?.id || req.salesKey?.source });
+
+const memberWebhooksLimit = limitByUid("member-webhooks", 20, 3600);
+const checkoutLimit = limitByUid("checkout", 10, 600);
+
+// The IP limit runs before the key lookup so guessing keys is throttled too.
+const salesGuard = (scope, name, max) => [
+  limitByIp("sales-ip", 600, 60),
+  requireSalesKey(scope),
+  limitBySalesKey(name, max, 60),
+];
+
+// Public endpoints answer anonymous callers too; this only tells whether a valid token came along.
+const optionalUser = async (req) => {
+  const header = req.headers.authorization || "";
+  if (!header.startsWith("Bearer ")) return null;
+  return auth.verifyIdToken(header.replace("Bearer ", "")).catch(() => null);
+};
+
+const pickFields = (data, keys) => {
+  if (!data) return null;
+  const present = keys.filter((key) => data[key] !== undefined);
+  return Object.fromEntries(present.map((key) => [key, data[key]]));
+};
+
+const auditUserFields = ["email", "fullName", "plan", "disabled", "referredBy", "status"];
+
+const adminAuditEntry = (req, { action, targetType, targetId, before, after, meta }) => ({
+  action,
+  targetType,
+  targetId: targetId || null,
+  actorUid: req.user.uid,
+  actorEmail: (req.user.email || "").toLowerCase() || null,
+  actorRole: req.adminRole || adminRoleOf(req.user),
+  before: before ?? null,
+  after: after ?? null,
+  ...(meta ? { meta } : {}),
+  ip: clientIp(req),
+  userAgent: String(req.headers["user-agent"] || "").slice(0, 300),
+  requestId: req.id || null,
+  createdAt: FieldValue.serverTimestamp(),
+});
+
+// Queues the entry on `writer`, the mutation's own batch or transaction, so the change and its
+// audit record commit (or fail) together.
+const recordAdminAudit = (writer, req, entry) => {
+  writer.set(db.collection("adminAudit").doc(), adminAuditEntry(req, entry));
+};
+
+// For changes spanning several commits or outside services (Auth, PayPal, webhooks) the entry is
+// written as `started` before the first step, then marked `completed` or `failed`, so a change that
+// stops halfway still leaves a record.
+const runAudited = async (req, entry, operation, complete = (result) => ({ meta: result })) => {
+  const auditRef = db.collection("adminAudit").doc();
+  await auditRef.set({ ...adminAuditEntry(req, entry), status: "started" });
+  try {
+    const result = await operation();
+    await auditRef.update({ status: "completed", ...complete(result) });
+    return result;
+  } catch (error) {
+    await auditRef
+      .update({ status: "failed", error: error?.message || "Server error" })
+      .catch(() => null);
+    throw error;
+  }
+};
+
+const hashIp = (ip) =>
+  ip ? createHash("sha256").update(`${REFERRAL_IP_SALT}:${ip}`).digest("hex") : null;
+
+const findReferralClick = async (attributionId) => {
+  if (!attributionId) return null;
+  const clickSnap = await db.collection("referralClicks").doc(attributionId).get();
+  return clickSnap.exists ? { id: clickSnap.id, ...clickSnap.data() } : null;
+};
+
+const utmKeys = ["utm_source", "utm_medium", "utm_campaign", "utm_term", "utm_content"];
+
+// Click ids are Firestore auto ids; anything else (a `/` above all) never reaches `doc()`.
+const attributionIdSchema = z
+  .string()
+  .regex(/^[A-Za-z0-9_-]{10,40}$/)
+  .optional();
+
+// Keeps `?to=` on the app's own origin. Backslashes and control characters are refused before
+// parsing because URL parsing reads `/\host` as `//host`.
+const landingUrl = (rawPath, appBaseUrl) => {
+  const base = new URL(appBaseUrl);
+  if (
+    !rawPath.startsWith("/") ||
+    rawPath.startsWith("//") ||
+    /[\\\u0000-\u001f\u007f]/.test(rawPath)
+  ) {
+    return new URL("/", base);
+  }
+  const target = new URL(rawPath, base);
+  return target.origin === base.origin ? target : new URL("/", base);
+};
+
+const funnelBucket = (date, interval) => {
+  const iso = date.toISOString();
+  if (interval === "month") return iso.slice(0, 7);
+  if (interval === "week") {
+    const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+    return monday.toISOString().slice(0, 10);
+  }
+  return iso.slice(0, 10);
+};
+
 const ensureStats = async (uid, planId) => {
   const statsRef = db.collection("stats").doc(uid);
   const statsSnap = await statsRef.get();
@@ -247,6 +371,7 @@ const ensureStats = async (uid, planId) => {
       totalEarningsUsd: 0,
       availableBalanceUsd: 0,
       pendingBalanceUsd: 0,
+      lockedBalanceUsd: 0,
       plan: planId,
       networkTotal: 0,
       updatedAt: FieldValue.serverTimestamp(),
@@ -254,12 +379,6 @@ const ensureStats = async (uid, planId) => {
   }
 };
 
-const resolvePlanLabel = (plan) => {
-  if (plan === "elite") return "Elite";
-  if (plan === "pro") return "Pro";
-  return "Basico";
-};
-
 const serializeUser = (doc) => {
   if (!doc) return null;
   return {
@@ -274,9 +393,20 @@ const serializeUser = (doc) => {
   };
 };
 
-const updateUserPlan = async ({ uid, plan, status, source, payload }) => {
+const emitPlanChanged = async (uid, previousPlan, plan, source) => {
+  if (!plan || plan === previousPlan) return;
+  await emitEvent(
+    "plan.changed",
+    { uid, previousPlan: previousPlan || null, plan, source: source || null },
+    { uids: [uid] }
+  );
+};
+
+const updateUserPlan = async ({ uid, plan, status, source, payload, periodEnd }) => {
+  const previousPlan = plan ? (await db.collection("users").doc(uid).get()).data()?.plan : null;
   const updates = {
     ...(plan ? { plan } : {}),
+    ...(periodEnd ? { currentPeriodEnd: periodEnd } : {}),
     ...(status ? { status } : {}),
     ...(source ? { planSource: source } : {}),
     ...(payload ? { paymentMeta: payload } : {}),
@@ -292,50 +422,146 @@ const updateUserPlan = async ({ uid, plan, status, source, payload }) => {
       },
       { merge: true }
     );
+    await emitPlanChanged(uid, previousPlan, plan, source);
   }
 };
 
-const fetchUsersByReferrers = async (referrerIds = []) => {
-  if (!referrerIds.length) return [];
-  const chunks = [];
-  for (let i = 0; i < referrerIds.length; i += 10) {
-    chunks.push(referrerIds.slice(i, i + 10));
-  }
-  const results = [];
-  for (const chunk of chunks) {
-    const snap = await db.collection("users").where("referredBy", "in", chunk).get();
-    if (!snap.empty) {
-      snap.docs.forEach((doc) => results.push({ id: doc.id, ...doc.data() }));
-    }
+const createPlanOrder = async ({
+  user,
+  plan,
+  phone,
+  paymentMethod,
+  amountPen,
+  type = "purchase",
+  fromPlan = null,
+}) => {
+  const { firstName, lastName } = splitName(user?.name || user?.email || "");
+  const amount = toCulqiAmount(amountPen);
+  const orderNumber = buildOrderNumber();
+  const expirationDate = Math.floor(Date.now() / 1000) + CULQI_ORDER_EXP_MINUTES * 60;
+  const description =
+    type === "upgrade"
+      ? `Afiliados PRO - Cambio a Plan ${plan.toUpperCase()}`
+      : `Afiliados PRO - Plan ${plan.toUpperCase()}`;
+
+  const order = await createCulqiOrder({
+    amount,
+    currency_code: "PEN",
+    description,
+    order_number: orderNumber,
+    client_details: {
+      first_name: firstName,
+      last_name: lastName,
+      email: user?.email || "cliente@afiliadospro.com",
+      phone_number: phone,
+    },
+    expiration_date: expirationDate,
+  });
+
+  await db.collection("culqiOrders").doc(order.id).set({
+    uid: user.uid,
+    plan,
+    type,
+    ...(fromPlan ? { fromPlan } : {}),
+    paymentMethod: paymentMethod || "yape",
+    amountPen,
+    amount,
+    status: order.state || order.status || "pending",
+    createdAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+
+  return {
+    orderId: order.id,
+    publicKey: CULQI_PUBLIC_KEY,
+    amount,
+    currencyCode: "PEN",
+  };
+};
+
+const subscriptionProvider = (user) => {
+  if (user?.planSource === "culqi") return "culqi";
+  if (user?.paypalSubscriptionId && user?.status === "ACTIVE") return "paypal";
+  return null;
+};
+
+const applyDueScheduledPlanChange = async (uid, user) => {
+  const change = user?.scheduledPlanChange;
+  if (!change?.plan || !change.effectiveAt || change.effectiveAt.toMillis() > Date.now()) {
+    return user;
   }
-  return results;
+
+  await updateUserPlan({ uid, plan: change.plan });
+  await db.collection("users").doc(uid).set(
+    { scheduledPlanChange: FieldValue.delete(), pendingPlan: FieldValue.delete() },
+    { merge: true }
+  );
+  return { ...user, plan: change.plan, scheduledPlanChange: null, pendingPlan: null };
 };
 
-const buildDownline = async (rootUid, maxLevels = 4) => {
+const buildDownline = async (rootUid, maxLevels = MAX_LEVELS) => {
+  const catalog = await loadPlanCatalog();
+  const snap = await db.collection("users").where("ancestors", "array-contains", rootUid).get();
   const members = [];
   const counts = {};
-  let currentLevel = 1;
-  let currentIds = [rootUid];
-
-  while (currentLevel <= maxLevels && currentIds.length) {
-    const levelUsers = await fetchUsersByReferrers(currentIds);
-    counts[currentLevel] = levelUsers.length;
-
-    levelUsers.forEach((user) => {
-      members.push({
-        id: user.uid || user.id,
-        name: user.fullName || user.email || "Sin nombre",
-        plan: resolvePlanLabel(user.plan),
-        level: currentLevel,
-        earnings: formatUsd(0),
-      });
+
+  snap.docs.forEach((doc) => {
+    const user = doc.data();
+    const level = levelOf(user, rootUid);
+    if (!level || level > maxLevels) return;
+    counts[level] = (counts[level] || 0) + 1;
+    members.push({
+      id: user.uid || doc.id,
+      name: user.fullName || user.email || "Sin nombre",
+      email: user.email || "",
+      planId: user.plan || "basic",
+      plan: catalog.label(user.plan),
+      planStatus: user.status || "ACTIVE",
+      level,
+      joinedAt: toIso(user.createdAt),
     });
+  });
+
+  members.sort((a, b) => a.level - b.level);
+  return { members, counts };
+};
 
-    currentIds = levelUsers.map((user) => user.uid || user.id);
-    currentLevel += 1;
+// What `uid` earned from each downline member (see `adjustMemberEarnings`); pass `memberIds` to
+// read just those totals instead of every member's.
+const earningsByMember = async (uid, memberIds = null) => {
+  const totals = new Map();
+  if (!memberIds) {
+    const snap = await db
+      .collection("memberEarnings")
+      .where("beneficiaryId", "==", uid)
+      .select("memberId", "earningsUsd")
+      .get();
+    snap.docs.forEach((doc) => totals.set(doc.data().memberId, round2(doc.data().earningsUsd)));
+    return totals;
   }
 
-  return { members, counts };
+  for (let i = 0; i < memberIds.length; i += 100) {
+    const refs = memberIds
+      .slice(i, i + 100)
+      .map((id) => db.collection("memberEarnings").doc(`${uid}_${id}`));
+    if (!refs.length) continue;
+    const snaps = await db.getAll(...refs);
+    snaps.forEach((snap) => {
+      if (snap.exists) totals.set(snap.data().memberId, round2(snap.data().earningsUsd));
+    });
+  }
+  return totals;
+};
+
+const salesCountByMember = async (memberIds) => {
+  const counts = new Map();
+  for (let i = 0; i < memberIds.length; i += 100) {
+    const refs = memberIds.slice(i, i + 100).map((id) => db.collection("stats").doc(id));
+    if (!refs.length) continue;
+    const snaps = await db.getAll(...refs);
+    snaps.forEach((snap) => counts.set(snap.id, Number(snap.data()?.bundleSalesCount || 0)));
+  }
+  return counts;
 };
 
 const getUpline = async (uid) => {
@@ -346,786 +572,4259 @@ const getUpline = async (uid) => {
   const refSnap = await db.collection("users").doc(user.referredBy).get();
   if (!refSnap.exists) return null;
   const refData = refSnap.data();
+  const catalog = await loadPlanCatalog();
   return {
     uid: refSnap.id,
     name: refData.fullName || refData.email || "",
-    plan: resolvePlanLabel(refData.plan),
+    plan: catalog.label(refData.plan),
     referralCode: refData.referralCode || "",
   };
 };
 
 const refreshPendingCommissions = async (uid) => {
-  const pendingSnap = await db
-    .collection("commissions")
-    .where("beneficiaryId", "==", uid)
-    .where("status", "==", "pending")
-    .where("holdUntil", "<=", Timestamp.now())
-    .get();
+  await releaseCommissionsPage(
+    db
+      .collection("commissions")
+      .where("beneficiaryId", "==", uid)
+      .where("status", "==", "pending")
+      .where("holdUntil", "<=", Timestamp.now())
+      .limit(400)
+  );
+};
+
+const getUplineChain = async (referrer, maxLevels = MAX_LEVELS) => {
+  const uplineChain = [];
+  let currentRef = referrer;
+  for (let level = 1; level <= maxLevels && currentRef; level += 1) {
+    uplineChain.push({ level, ...currentRef });
+    if (!currentRef.referredBy) break;
+    const nextSnap = await db.collection("users").doc(currentRef.referredBy).get();
+    if (!nextSnap.exists) break;
+    currentRef = { id: nextSnap.id, ...nextSnap.data() };
+  }
+  return uplineChain;
+};
 
-  if (pendingSnap.empty) return;
+const writeCommissions = (
+  batch,
+  { catalog, transactionId, source, sourceUid, amountUsd, uplineChain, holdUntil, fx }
+) => {
+  const now = FieldValue.serverTimestamp();
+  // The downline member the commission is credited to: the payer for subscriptions,
+  // the referring seller (level 1 of the chain) for bundle sales.
+  const memberId = sourceUid || uplineChain[0]?.id || null;
+  const written = [];
 
-  let releasedTotal = 0;
-  const batch = db.batch();
-  pendingSnap.docs.forEach((doc) => {
-    const data = doc.data();
-    releasedTotal += Number(data.amountUsd || 0);
-    batch.update(doc.ref, {
-      status: "approved",
-      releasedAt: FieldValue.serverTimestamp(),
-      updatedAt: FieldValue.serverTimestamp(),
+  uplineChain.forEach((upline) => {
+    const percent = catalog.levelPercent(upline.plan || "basic", upline.level);
+    if (!percent) return;
+
+    const commissionAmount = round2((amountUsd * percent) / 100);
+    const commissionRef = db.collection("commissions").doc();
+
+    batch.set(commissionRef, {
+      transactionId,
+      source,
+      ...(sourceUid ? { sourceUid } : {}),
+      memberId,
+      beneficiaryId: upline.id,
+      level: upline.level,
+      percent,
+      amountUsd: commissionAmount,
+      ...(fx ? { saleCurrency: fx.currency, fxRate: fx.fxRate, fxRateDate: fx.fxRateDate } : {}),
+      status: "pending",
+      holdUntil,
+      createdAt: now,
+      updatedAt: now,
+    });
+
+    adjustMemberEarnings(batch, { beneficiaryId: upline.id, memberId, amountUsd: commissionAmount });
+
+    const statsRef = db.collection("stats").doc(upline.id);
+    batch.set(
+      statsRef,
+      {
+        totalEarningsUsd: FieldValue.increment(commissionAmount),
+        pendingBalanceUsd: FieldValue.increment(commissionAmount),
+        updatedAt: now,
+      },
+      { merge: true }
+    );
+    written.push({
+      id: commissionRef.id,
+      beneficiaryId: upline.id,
+      level: upline.level,
+      amountUsd: commissionAmount,
     });
   });
 
-  const statsRef = db.collection("stats").doc(uid);
-  batch.set(
-    statsRef,
-    {
-      pendingBalanceUsd: FieldValue.increment(-releasedTotal),
-      availableBalanceUsd: FieldValue.increment(releasedTotal),
-      updatedAt: FieldValue.serverTimestamp(),
-    },
-    { merge: true }
+  return written;
+};
+
+const emitCommissionsCreated = (commissions, { transactionId, source, memberId }) =>
+  Promise.all(
+    commissions.map((commission) =>
+      emitEvent(
+        "commission.created",
+        {
+          commissionId: commission.id,
+          beneficiaryId: commission.beneficiaryId,
+          level: commission.level,
+          amountUsd: commission.amountUsd,
+          transactionId,
+          source,
+          memberId: memberId || null,
+        },
+        { uids: [commission.beneficiaryId] }
+      )
+    )
   );
 
-  await batch.commit();
-};
+const recordSubscriptionPayment = async ({
+  paymentId,
+  uid,
+  source,
+  plan,
+  amount,
+  currency,
+  meta,
+}) => {
+  const paymentRef = db.collection("subscriptionPayments").doc(paymentId);
+  const paymentSnap = await paymentRef.get();
+  if (paymentSnap.exists) {
+    return "exists";
+  }
 
-app.get("/health", (_req, res) => {
-  res.json({ ok: true });
-});
+  const userSnap = await db.collection("users").doc(uid).get();
+  const user = userSnap.exists ? userSnap.data() : null;
+  const referrerSnap = user?.referredBy
+    ? await db.collection("users").doc(user.referredBy).get()
+    : null;
+  const referrer = referrerSnap?.exists ? { id: referrerSnap.id, ...referrerSnap.data() } : null;
+
+  const catalog = await loadPlanCatalog();
+  const fx = fxStamp(currency, await getFxRate());
+  const { amountUsd, amountPen } = convertAmount(amount, currency, { penToUsd: fx.fxRate });
+  const holdUntil = holdUntilDate();
+  const now = FieldValue.serverTimestamp();
+  const batch = db.batch();
 
-app.get("/referrals/validate", async (req, res) => {
-  const rawCode = String(req.query.code || "").trim().toUpperCase();
-  if (!rawCode || !isValidReferralCode(rawCode)) {
-    return res.json({ valid: false });
+  batch.create(paymentRef, {
+    uid,
+    source,
+    plan: plan || null,
+    amount,
+    amountUsd,
+    amountPen,
+    ...fx,
+    referrerId: referrer?.id || null,
+    meta: meta || null,
+    holdUntil,
+    createdAt: now,
+  });
+
+  let commissions = [];
+  if (referrer) {
+    commissions = writeCommissions(batch, {
+      catalog,
+      transactionId: paymentId,
+      source,
+      sourceUid: uid,
+      amountUsd,
+      uplineChain: await getUplineChain(referrer),
+      holdUntil,
+      fx,
+    });
+
+    batch.set(db.collection("users").doc(referrer.id).collection("activity").doc(), {
+      name: user?.fullName || user?.email || "",
+      action: `pago su plan ${catalog.label(plan)}`,
+      level: "Suscripcion",
+      time: "Reciente",
+      createdAt: now,
+    });
   }
 
-  const refUser = await findUserByReferral(rawCode);
-  if (!refUser) {
-    return res.json({ valid: false });
+  try {
+    await batch.commit();
+  } catch (error) {
+    if (error?.code === 6) return "exists";
+    throw error;
   }
 
-  return res.json({
-    valid: true,
-    referrerId: refUser.id,
-    referrerName: refUser.fullName || refUser.email || "",
-  });
-});
+  await queueCommissionNotifications(commissions, { source, transactionId: paymentId });
+  await emitCommissionsCreated(commissions, { transactionId: paymentId, source, memberId: uid });
+  return referrer ? "recorded" : "no-referrer";
+};
 
-app.post("/users/bootstrap", requireAuth, async (req, res) => {
-  const schema = z
-    .object({
-      fullName: z.string().min(2).optional(),
-      referrerCode: z.string().min(3).optional(),
-    })
-    .safeParse(req.body || {});
+const handlePaypalSaleCompleted = async (resource) => {
+  const subscriptionId = resource?.billing_agreement_id;
+  if (!resource?.id || !subscriptionId) return "ignored";
 
-  if (!schema.success) {
-    return res.status(400).json({ error: "Invalid payload" });
+  const snap = await db
+    .collection("users")
+    .where("paypalSubscriptionId", "==", subscriptionId)
+    .limit(1)
+    .get();
+  if (snap.empty) return "ignored";
+
+  let user = await applyDueScheduledPlanChange(snap.docs[0].id, snap.docs[0].data());
+  const catalog = await loadPlanCatalog();
+  const saleTime = resource?.create_time ? Date.parse(resource.create_time) : Date.now();
+  if (
+    user.pendingPlan &&
+    catalog.fromPaypalPlanId(user.paypalPlanId) === user.pendingPlan &&
+    saleTime >= (user.pendingPlanSince?.toMillis?.() || 0)
+  ) {
+    await updateUserPlan({ uid: snap.docs[0].id, plan: user.pendingPlan, source: "paypal" });
+    await snap.docs[0].ref.set(
+      { pendingPlan: FieldValue.delete(), pendingPlanSince: FieldValue.delete() },
+      { merge: true }
+    );
+    user = { ...user, plan: user.pendingPlan, pendingPlan: null };
   }
+  const total = Number(resource?.amount?.total || 0);
+  const currency = String(resource?.amount?.currency || "USD").toUpperCase();
+
+  return recordSubscriptionPayment({
+    paymentId: `paypal_${resource.id}`,
+    uid: snap.docs[0].id,
+    source: "paypal",
+    plan: catalog.fromPaypalPlanId(user.paypalPlanId) || user.plan || "basic",
+    amount: total,
+    currency: SUPPORTED_CURRENCIES.includes(currency) ? currency : "USD",
+    meta: { paypalSaleId: resource.id, paypalSubscriptionId: subscriptionId, currency, total },
+  });
+};
 
-  const { fullName, referrerCode } = schema.data;
-  const uid = req.user.uid;
-  const userRef = db.collection("users").doc(uid);
-  const userSnap = await userRef.get();
+const toIso = (value) => {
+  if (!value) return null;
+  if (typeof value.toDate === "function") return value.toDate().toISOString();
+  return new Date(value).toISOString();
+};
 
-  if (!userSnap.exists) {
-    const referralCode = generateReferralCode();
-    let referredBy = null;
+const serializeCommission = (doc) => {
+  const data = doc.data() || {};
+  return {
+    id: doc.id,
+    beneficiaryId: data.beneficiaryId,
+    transactionId: data.transactionId || null,
+    source: data.source || "bundle",
+    sourceUid: data.sourceUid || null,
+    memberId: data.memberId || data.sourceUid || null,
+    level: data.level,
+    percent: data.percent,
+    amountUsd: data.amountUsd ?? 0,
+    status: data.status,
+    holdUntil: toIso(data.holdUntil),
+    payoutId: data.payoutId || null,
+    reversalOf: data.reversalOf || null,
+    createdAt: toIso(data.createdAt),
+  };
+};
 
-    if (referrerCode) {
-      const refUser = await findUserByReferral(referrerCode);
-      if (refUser) {
-        referredBy = refUser.id;
-      }
-    }
+const commissionCsvColumns = [
+  "id",
+  "createdAt",
+  "transactionId",
+  "source",
+  "level",
+  "percent",
+  "amountUsd",
+  "status",
+  "holdUntil",
+  "payoutId",
+  "reversalOf",
+];
 
-    const userData = {
-      uid,
-      email: req.user.email || "",
-      fullName: fullName || req.user.name || "",
-      plan: "basic",
-      referralCode,
-      referredBy,
-      createdAt: FieldValue.serverTimestamp(),
-      updatedAt: FieldValue.serverTimestamp(),
-    };
+const toCsv = (rows, columns) => {
+  const escape = (value) => {
+    if (value === null || value === undefined) return "";
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = rows.map((row) => columns.map((key) => escape(row[key])).join(","));
+  return `${[columns.join(","), ...lines].join("\n")}\n`;
+};
 
-    await userRef.set(userData);
+const httpError = (status, message) => Object.assign(new Error(message), { status });
 
-    if (referredBy) {
-      await db.collection("users").doc(referredBy).collection("network").doc(uid).set({
+// Ids taken from the request must be a single path segment: `doc("a/b")` throws synchronously,
+// which would take down the process from inside an async handler.
+const isDocId = (value) =>
+  typeof value === "string" && /^(?!\.\.?$)(?!__.*__$)[^/]{1,1500}$/.test(value);
+
+const openPayoutStatuses = ["requested", "approved", "processing"];
+
+const serializePayout = (doc) => {
+  const data = doc.data() || {};
+  return {
+    id: doc.id,
+    uid: data.uid,
+    amountUsd: data.amountUsd ?? 0,
+    method: data.method || "paypal",
+    destination: data.destination || "",
+    status: data.status || "requested",
+    commissionIds: data.commissionIds || [],
+    reference: data.reference || null,
+    paypalItemStatus: data.paypalItemStatus || null,
+    failureReason: data.failureReason || null,
+    rejectReason: data.rejectReason || null,
+    createdAt: data.createdAt || null,
+    updatedAt: data.updatedAt || null,
+  };
+};
+
+const releasePayoutCommissions = (tx, payout, updates) => {
+  (payout.commissionIds || []).forEach((commissionId) => {
+    tx.update(db.collection("commissions").doc(commissionId), {
+      ...updates,
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+  });
+};
+
+const markPayoutPaid = (tx, payoutRef, payout, fields = {}) => {
+  const now = FieldValue.serverTimestamp();
+  tx.update(payoutRef, { ...fields, status: "paid", paidAt: now, updatedAt: now });
+  releasePayoutCommissions(tx, payout, { status: "paid", paidAt: now });
+  tx.set(
+    db.collection("stats").doc(payout.uid),
+    {
+      lockedBalanceUsd: FieldValue.increment(-payout.amountUsd),
+      paidOutUsd: FieldValue.increment(payout.amountUsd),
+      updatedAt: now,
+    },
+    { merge: true }
+  );
+};
+
+const returnPayoutBalance = (tx, payoutRef, payout, status, fields = {}) => {
+  const now = FieldValue.serverTimestamp();
+  tx.update(payoutRef, { ...fields, status, updatedAt: now });
+  releasePayoutCommissions(tx, payout, { status: "approved", payoutId: FieldValue.delete() });
+  tx.set(
+    db.collection("stats").doc(payout.uid),
+    {
+      availableBalanceUsd: FieldValue.increment(payout.amountUsd),
+      lockedBalanceUsd: FieldValue.increment(-payout.amountUsd),
+      updatedAt: now,
+    },
+    { merge: true }
+  );
+};
+
+const payoutDestinationSchema = z.object({
+  method: z.enum(["paypal", "yape", "plin", "bank"]),
+  destination: z.string().trim().min(3).max(120),
+});
+
+// Reads every match in pages, for exports that can't stop at a fixed limit.
+const allQueryDocs = async (query, pageSize = 1000) => {
+  const docs = [];
+  for (;;) {
+    const last = docs[docs.length - 1];
+    const snap = await (last ? query.startAfter(last) : query).limit(pageSize).get();
+    docs.push(...snap.docs);
+    if (snap.size < pageSize) return docs;
+  }
+};
+
+const deleteQueryDocs = async (query) => {
+  let deleted = 0;
+  for (;;) {
+    const snap = await query.limit(400).get();
+    if (snap.empty) return deleted;
+    const batch = db.batch();
+    snap.docs.forEach((doc) => batch.delete(doc.ref));
+    await batch.commit();
+    deleted += snap.size;
+  }
+};
+
+const findOpenPayout = (uid) =>
+  db.collection("payouts").where("uid", "==", uid).where("status", "in", openPayoutStatuses).limit(1);
+
+const lastPayoutDestination = async (uid) => {
+  const snap = await db
+    .collection("payouts")
+    .where("uid", "==", uid)
+    .orderBy("createdAt", "desc")
+    .limit(1)
+    .get();
+  if (snap.empty) return null;
+  const { method, destination } = snap.docs[0].data();
+  return method && destination ? { method, destination } : null;
+};
+
+// `settle` turns the available balance into a final payout request; `forfeit` cancels it.
+// Pending commissions are still inside their refund window and are cancelled either way.
+// `progressRef` (an `accountDeletions` doc) gets its balance step marked in the same transaction.
+const closeAccountBalance = (uid, { policy, payout, progressRef = null }) => {
+  const statsRef = db.collection("stats").doc(uid);
+  const payoutRef = db.collection("payouts").doc();
+
+  return db.runTransaction(async (tx) => {
+    const [statsSnap, openSnap, commissionsSnap] = await Promise.all([
+      tx.get(statsRef),
+      tx.get(findOpenPayout(uid)),
+      tx.get(
+        db
+          .collection("commissions")
+          .where("beneficiaryId", "==", uid)
+          .where("status", "in", ["pending", "approved"])
+      ),
+    ]);
+
+    if (!openSnap.empty) {
+      throw httpError(409, "User has a payout in progress");
+    }
+
+    const stats = statsSnap.data() || {};
+    const availableUsd = round2(stats.availableBalanceUsd ?? 0);
+    const pendingUsd = round2(stats.pendingBalanceUsd ?? 0);
+    const settle = policy === "settle" && availableUsd > 0;
+    if (settle && !payout) {
+      throw httpError(400, "Payout destination required to settle the balance");
+    }
+
+    const now = FieldValue.serverTimestamp();
+    const approved = commissionsSnap.docs.filter((doc) => doc.data().status === "approved");
+    // Cancelled commissions come off the earnings totals, as a refund's reversal does.
+    let cancelledUsd = 0;
+    commissionsSnap.docs
+      .filter((doc) => !settle || doc.data().status === "pending")
+      .forEach((doc) => {
+        const commission = doc.data();
+        const amountUsd = round2(Number(commission.amountUsd || 0));
+        tx.update(doc.ref, {
+          status: "cancelled",
+          cancelledAt: now,
+          cancelReason: "account-closed",
+          updatedAt: now,
+        });
+        cancelledUsd += amountUsd;
+        adjustMemberEarnings(tx, {
+          beneficiaryId: uid,
+          memberId: commission.memberId,
+          amountUsd: -amountUsd,
+        });
+      });
+
+    if (settle) {
+      const data = {
         uid,
-        name: userData.fullName || userData.email,
-        plan: "basic",
-        level: 1,
-        earnings: formatUsd(0),
-        createdAt: FieldValue.serverTimestamp(),
+        amountUsd: availableUsd,
+        method: payout.method,
+        destination: payout.destination,
+        status: "requested",
+        reason: "account-closed",
+        commissionIds: approved.map((doc) => doc.id),
+        createdAt: now,
+        updatedAt: now,
+      };
+      tx.set(payoutRef, data);
+      releasePayoutCommissions(tx, data, { status: "locked", payoutId: payoutRef.id });
+    }
+
+    const forfeitedUsd = round2(pendingUsd + (settle ? 0 : availableUsd));
+    tx.set(
+      statsRef,
+      {
+        pendingBalanceUsd: 0,
+        availableBalanceUsd: 0,
+        ...(settle ? { lockedBalanceUsd: FieldValue.increment(availableUsd) } : {}),
+        totalEarningsUsd: FieldValue.increment(-round2(cancelledUsd)),
+        forfeitedUsd: FieldValue.increment(forfeitedUsd),
+        updatedAt: now,
+      },
+      { merge: true }
+    );
+
+    const result = {
+      policy,
+      payoutId: settle ? payoutRef.id : null,
+      settledUsd: settle ? availableUsd : 0,
+      forfeitedUsd,
+    };
+    if (progressRef) {
+      tx.set(
+        progressRef,
+        { steps: { balance: true }, balance: result, updatedAt: now },
+        { merge: true }
+      );
+    }
+    return result;
+  });
+};
+
+/**
+ * Removes an account without leaving dangling references: direct referrals move to `heirId`,
+ * an active PayPal subscription is cancelled, the balance is settled or forfeited and the
+ * `activity`/`network` subcollections are deleted. `anonymize` keeps the user doc as a scrubbed
+ * tombstone; `delete` also removes the user and stats docs. Financial records (commissions,
+ * payouts, Culqi orders) are kept in both modes.
+ *
+ * Each step is recorded on `accountDeletions/{uid}`, so a run that fails halfway can be retried:
+ * it resumes after the last finished step with the options it was started with.
+ */
+const deleteUserAccount = async ({ uid, mode, balancePolicy, heirId, payout }) => {
+  const userRef = db.collection("users").doc(uid);
+  const progressRef = db.collection("accountDeletions").doc(uid);
+  const progressSnap = await progressRef.get();
+  const previous = progressSnap.data()?.status === "running" ? progressSnap.data() : null;
+  const options = previous?.options || {
+    mode,
+    balancePolicy,
+    heirId: heirId || null,
+    payout: payout || null,
+  };
+  const steps = { ...(previous?.steps || {}) };
+  let balance = previous?.balance || null;
+  let network = previous?.network || null;
+
+  if (!previous) {
+    await progressRef.set({
+      status: "running",
+      options,
+      steps,
+      startedAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+  }
+
+  const runStep = async (step, operation) => {
+    if (steps[step]) return;
+    const data = (await operation()) || {};
+    steps[step] = true;
+    await progressRef.set(
+      { steps: { [step]: true }, ...data, updatedAt: FieldValue.serverTimestamp() },
+      { merge: true }
+    );
+  };
+
+  const userSnap = await userRef.get();
+  const user = userSnap.exists ? { id: uid, ...userSnap.data() } : null;
+
+  await runStep("subscription", async () => {
+    if (user && subscriptionProvider(user) === "paypal" && !user.cancelAtPeriodEnd) {
+      try {
+        await cancelPaypalSubscription(user.paypalSubscriptionId, "Cuenta eliminada");
+      } catch (error) {
+        throw httpError(502, error?.message || "Failed to cancel PayPal subscription");
+      }
+    }
+  });
+
+  // Marks its own step inside the balance transaction: once the balance is closed a settle payout
+  // exists, and a retry must not stop at the payout-in-progress check.
+  if (!steps.balance) {
+    if (!(await findOpenPayout(uid).get()).empty) {
+      throw httpError(409, "User has a payout in progress");
+    }
+    const payoutTarget =
+      options.balancePolicy === "settle"
+        ? options.payout || (await lastPayoutDestination(uid))
+        : null;
+    balance = await closeAccountBalance(uid, {
+      policy: options.balancePolicy,
+      payout: payoutTarget,
+      progressRef,
+    });
+    steps.balance = true;
+  }
+
+  await runStep("network", async () => {
+    network = user ? await detachUser({ user, heirId: options.heirId }) : null;
+    return { network };
+  });
+
+  await runStep("data", async () => {
+    await deleteQueryDocs(userRef.collection("activity"));
+    await deleteQueryDocs(userRef.collection("network"));
+    await db.collection("adminRoles").doc(uid).delete();
+  });
+
+  await runStep("auth", async () => {
+    try {
+      await auth.deleteUser(uid);
+    } catch (error) {
+      if (error?.code !== "auth/user-not-found") {
+        throw httpError(500, "Failed to delete auth user");
+      }
+    }
+  });
+
+  await runStep("profile", async () => {
+    if (options.mode === "anonymize") {
+      if (user) {
+        await userRef.set(
+          {
+            email: "",
+            fullName: "Usuario eliminado",
+            referralCode: FieldValue.delete(),
+            attributionId: FieldValue.delete(),
+            paymentMeta: FieldValue.delete(),
+            disabled: true,
+            status: "DELETED",
+            deletedAt: FieldValue.serverTimestamp(),
+            updatedAt: FieldValue.serverTimestamp(),
+          },
+          { merge: true }
+        );
+      }
+    } else {
+      await userRef.delete();
+      if (!balance?.payoutId) {
+        await db.collection("stats").doc(uid).delete();
+      }
+    }
+    return { status: "completed", completedAt: FieldValue.serverTimestamp() };
+  });
+
+  return { mode: options.mode, balance, network };
+};
+
+// Closures wait out the cooling-off period and any payout in flight. Commissions whose hold has
+// ended are released first so the final payout covers everything the member can still be paid;
+// self-service closures also wait for the rest to clear instead of cancelling them.
+const finalizeAccountClosure = async (closureSnap, { force = false } = {}) => {
+  const uid = closureSnap.id;
+  const closure = closureSnap.data();
+  if (closure.status !== "pending") {
+    return { uid, status: closure.status };
+  }
+
+  const block = async (blockedReason) => {
+    await closureSnap.ref.set(
+      { blockedReason, checkedAt: FieldValue.serverTimestamp() },
+      { merge: true }
+    );
+    return { uid, status: "pending", blockedReason };
+  };
+
+  if (!force && closure.effectiveAt.toMillis() > Date.now()) {
+    return block("cooling-off");
+  }
+  if (!(await findOpenPayout(uid).get()).empty) {
+    return block("payout-in-progress");
+  }
+
+  await refreshPendingCommissions(uid);
+  if (!force) {
+    const statsSnap = await db.collection("stats").doc(uid).get();
+    if (round2(statsSnap.data()?.pendingBalanceUsd ?? 0) > 0) {
+      return block("pending-commissions");
+    }
+  }
+  const userSnap = await db.collection("users").doc(uid).get();
+
+  try {
+    const result = await deleteUserAccount({
+      uid,
+      mode: "anonymize",
+      balancePolicy: "settle",
+      heirId: userSnap.data()?.referredBy || HOUSE_ACCOUNT_UID || null,
+      payout: closure.payout || null,
+    });
+    await closureSnap.ref.set(
+      {
+        status: "completed",
+        blockedReason: FieldValue.delete(),
+        result,
+        completedAt: FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+    return { uid, status: "completed", ...result };
+  } catch (error) {
+    return block(error?.message || "Closure error");
+  }
+};
+
+const serializeClosure = (doc) => {
+  const data = doc.data() || {};
+  return {
+    uid: doc.id,
+    status: data.status,
+    reason: data.reason || null,
+    payout: data.payout || null,
+    blockedReason: data.blockedReason || null,
+    requestedAt: toIso(data.requestedAt),
+    effectiveAt: toIso(data.effectiveAt),
+    completedAt: toIso(data.completedAt),
+    cancelledAt: toIso(data.cancelledAt),
+  };
+};
+
+// Firestore values -> JSON: timestamps become ISO strings, nested maps and arrays are kept.
+const toExportValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value.toDate === "function") return value.toDate().toISOString();
+  if (Array.isArray(value)) return value.map(toExportValue);
+  if (typeof value === "object") {
+    const entries = Object.entries(value).map(([key, item]) => [key, toExportValue(item)]);
+    return Object.fromEntries(entries);
+  }
+  return value;
+};
+
+const exportDocs = (snap) => snap.docs.map((doc) => ({ id: doc.id, ...toExportValue(doc.data()) }));
+
+const webhookEndpointSchema = z.object({
+  url: z
+    .string()
+    .url()
+    .refine((url) => url.startsWith("https://")),
+  events: z.array(z.enum(OUTBOUND_EVENT_TYPES)).min(1),
+  description: z.string().trim().max(200).default(""),
+});
+
+const serializeWebhookEndpoint = (doc) => {
+  const data = doc.data() || {};
+  return {
+    id: doc.id,
+    ownerUid: data.ownerUid ?? null,
+    url: data.url,
+    events: data.events || [],
+    description: data.description || "",
+    active: data.active !== false,
+    createdAt: toIso(data.createdAt),
+  };
+};
+
+const serializeWebhookDelivery = (doc) => {
+  const data = doc.data() || {};
+  return {
+    id: doc.id,
+    eventId: data.eventId,
+    type: data.type,
+    endpointId: data.endpointId,
+    url: data.url,
+    status: data.status,
+    attempts: data.attempts || 0,
+    lastStatusCode: data.lastStatusCode ?? null,
+    lastError: data.lastError || null,
+    nextAttemptAt: toIso(data.nextAttemptAt),
+    deliveredAt: toIso(data.deliveredAt),
+    createdAt: toIso(data.createdAt),
+    payload: data.payload ? JSON.parse(data.payload) : null,
+  };
+};
+
+const createWebhookEndpoint = async (ownerUid, data, createdBy, { audit } = {}) => {
+  const secret = createEndpointSecret();
+  const ref = db.collection("webhookEndpoints").doc();
+  const batch = db.batch();
+  batch.set(ref, {
+    ...data,
+    ownerUid,
+    secret,
+    active: true,
+    createdBy,
+    createdAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+  audit?.(batch, ref);
+  await batch.commit();
+  return { endpoint: serializeWebhookEndpoint(await ref.get()), secret };
+};
+
+// Resolves to null when `cursor` isn't a valid delivery id.
+const listWebhookDeliveries = async (query, req) => {
+  const limit = Math.min(Number.parseInt(req.query.limit, 10) || 50, 200);
+  let next = query.orderBy("createdAt", "desc").limit(limit);
+  if (req.query.cursor !== undefined && !isDocId(req.query.cursor)) {
+    return null;
+  }
+  if (req.query.cursor) {
+    const cursorSnap = await db.collection("webhookDeliveries").doc(req.query.cursor).get();
+    if (cursorSnap.exists) {
+      next = next.startAfter(cursorSnap);
+    }
+  }
+
+  const snap = await next.get();
+  return {
+    deliveries: snap.docs.map(serializeWebhookDelivery),
+    nextCursor: snap.docs.length ? snap.docs[snap.docs.length - 1].id : null,
+  };
+};
+
+const salesKeySchema = z.object({
+  label: z.string().trim().min(1).max(80),
+  source: z
+    .string()
+    .trim()
+    .toLowerCase()
+    .regex(/^[a-z0-9][a-z0-9_-]{1,39}$/),
+  scopes: z.array(z.enum(SALES_KEY_SCOPES)).min(1).default(["sales:write"]),
+});
+
+const serializeSalesKey = (doc) => {
+  const data = doc.data() || {};
+  return {
+    id: doc.id,
+    label: data.label || "",
+    source: data.source,
+    scopes: data.scopes || [],
+    keyPrefix: data.keyPrefix || null,
+    active: data.active !== false,
+    lastUsedAt: toIso(data.lastUsedAt),
+    createdBy: data.createdBy || null,
+    createdAt: toIso(data.createdAt),
+    revokedAt: toIso(data.revokedAt),
+  };
+};
+
+const paypalPayoutItemStatuses = {
+  "PAYMENT.PAYOUTS-ITEM.SUCCEEDED": "paid",
+  "PAYMENT.PAYOUTS-ITEM.FAILED": "failed",
+  "PAYMENT.PAYOUTS-ITEM.RETURNED": "returned",
+  "PAYMENT.PAYOUTS-ITEM.REFUNDED": "returned",
+  "PAYMENT.PAYOUTS-ITEM.CANCELED": "failed",
+  "PAYMENT.PAYOUTS-ITEM.DENIED": "failed",
+  "PAYMENT.PAYOUTS-ITEM.BLOCKED": "failed",
+};
+
+const handlePaypalPayoutEvent = async (type, resource) => {
+  if (type.startsWith("PAYMENT.PAYOUTSBATCH.")) {
+    const batchId = resource?.batch_header?.payout_batch_id;
+    const senderBatchId = resource?.batch_header?.sender_batch_header?.sender_batch_id;
+    if (!senderBatchId) return false;
+    await db.collection("paypalPayoutBatches").doc(senderBatchId).set(
+      {
+        paypalBatchId: batchId || null,
+        status: resource?.batch_header?.batch_status || type.split(".").pop(),
+        updatedAt: FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+    return true;
+  }
+
+  const payoutId = resource?.payout_item?.sender_item_id;
+  if (!payoutId) return false;
+
+  const payoutRef = db.collection("payouts").doc(payoutId);
+  const itemFields = {
+    paypalItemId: resource?.payout_item_id || null,
+    paypalItemStatus: resource?.transaction_status || type.split(".").pop(),
+    paypalTransactionId: resource?.transaction_id || null,
+  };
+  const nextStatus = paypalPayoutItemStatuses[type];
+
+  await db.runTransaction(async (tx) => {
+    const payoutSnap = await tx.get(payoutRef);
+    if (!payoutSnap.exists) return;
+    const payout = payoutSnap.data();
+
+    if (!nextStatus || payout.status !== "processing") {
+      tx.update(payoutRef, { ...itemFields, updatedAt: FieldValue.serverTimestamp() });
+      return;
+    }
+
+    if (nextStatus === "paid") {
+      markPayoutPaid(tx, payoutRef, payout, {
+        ...itemFields,
+        reference: resource?.transaction_id || resource?.payout_item_id || null,
       });
+      return;
+    }
+
+    returnPayoutBalance(tx, payoutRef, payout, nextStatus, {
+      ...itemFields,
+      failureReason: resource?.errors?.message || resource?.errors?.name || itemFields.paypalItemStatus,
+    });
+  });
+
+  return true;
+};
+
+const processPaypalEvent = async (event) => {
+  const type = event?.event_type || "";
+  const resource = event?.resource || {};
+
+  if (type.startsWith("PAYMENT.PAYOUTS")) {
+    const handled = await handlePaypalPayoutEvent(type, resource);
+    return handled ? {} : { ignored: true };
+  }
+
+  if (type === "PAYMENT.SALE.COMPLETED") {
+    const status = await handlePaypalSaleCompleted(resource);
+    return { status };
+  }
+
+  const subscriptionId = resource?.id;
+  const planId = resource?.plan_id;
+  const catalog = await loadPlanCatalog();
+  const planCode = catalog.fromPaypalPlanId(planId);
+  const customId = resource?.custom_id || "";
+  const [customUid, customPlan] = customId.split(":");
+  const uid = customUid || customId || null;
+
+  let userRef = null;
+  if (uid) {
+    userRef = db.collection("users").doc(uid);
+  } else if (subscriptionId) {
+    const snap = await db
+      .collection("users")
+      .where("paypalSubscriptionId", "==", subscriptionId)
+      .limit(1)
+      .get();
+    if (!snap.empty) {
+      userRef = snap.docs[0].ref;
+    }
+  }
+
+  if (!userRef) {
+    return { ignored: true };
+  }
+
+  const updates = {
+    paypalSubscriptionId: subscriptionId || null,
+    paypalPlanId: planId || null,
+    updatedAt: FieldValue.serverTimestamp(),
+  };
+
+  const finalPlan = planCode || customPlan || "basic";
+
+  if (type === "BILLING.SUBSCRIPTION.ACTIVATED") {
+    updates.status = "ACTIVE";
+    updates.plan = finalPlan;
+    updates.planSource = "paypal";
+    updates.pendingPlan = FieldValue.delete();
+    updates.scheduledPlanChange = FieldValue.delete();
+    updates.cancelAtPeriodEnd = FieldValue.delete();
+    updates.accessUntil = FieldValue.delete();
+  }
+
+  if (type === "BILLING.SUBSCRIPTION.CANCELLED") {
+    const current = (await userRef.get()).data() || {};
+    updates.status = "CANCELLED";
+    updates.pendingPlan = FieldValue.delete();
+    if (!current.scheduledPlanChange) {
+      const nextBillingTime = resource?.billing_info?.next_billing_time;
+      const accessUntil = nextBillingTime
+        ? Timestamp.fromDate(new Date(nextBillingTime))
+        : Timestamp.now();
+      updates.cancelAtPeriodEnd = true;
+      updates.accessUntil = accessUntil;
+      updates.scheduledPlanChange = {
+        plan: catalog.plans[0]?.id || "basic",
+        provider: "paypal",
+        effectiveAt: accessUntil,
+        reason: "cancellation",
+      };
+    }
+  }
+
+  if (
+    type === "BILLING.SUBSCRIPTION.SUSPENDED" ||
+    type === "BILLING.SUBSCRIPTION.EXPIRED" ||
+    type === "BILLING.SUBSCRIPTION.PAYMENT.FAILED"
+  ) {
+    updates.status = "SUSPENDED";
+    updates.pendingPlan = FieldValue.delete();
+  }
+
+  if (type === "BILLING.SUBSCRIPTION.UPDATED") {
+    if (resource?.status === "ACTIVE") {
+      const currentPlan = (await userRef.get()).data()?.plan || "basic";
+      const nextBillingTime = resource?.billing_info?.next_billing_time;
+      updates.status = "ACTIVE";
+      if (catalog.rank(finalPlan) < catalog.rank(currentPlan) && nextBillingTime) {
+        updates.pendingPlan = FieldValue.delete();
+        updates.scheduledPlanChange = {
+          plan: finalPlan,
+          provider: "paypal",
+          effectiveAt: Timestamp.fromDate(new Date(nextBillingTime)),
+        };
+      } else if (finalPlan !== currentPlan) {
+        // Approving the revision isn't paying for it: the upgrade waits for PAYMENT.SALE.COMPLETED.
+        updates.pendingPlan = finalPlan;
+        updates.pendingPlanSince = Timestamp.now();
+        updates.scheduledPlanChange = FieldValue.delete();
+      }
+    }
+  }
+
+  const previousPlan = updates.plan ? (await userRef.get()).data()?.plan : null;
+  await userRef.set(updates, { merge: true });
+  await emitPlanChanged(userRef.id, previousPlan, updates.plan, "paypal");
+  if (type === "BILLING.SUBSCRIPTION.ACTIVATED") {
+    await queueNotification(
+      userRef.id,
+      "planActivated",
+      { planName: catalog.label(finalPlan) },
+      { key: event?.id || subscriptionId }
+    );
+  }
+  if (type === "BILLING.SUBSCRIPTION.PAYMENT.FAILED") {
+    const current = (await userRef.get()).data() || {};
+    await queueNotification(
+      userRef.id,
+      "paymentFailed",
+      { planName: catalog.label(current.plan) },
+      { key: event?.id }
+    );
+  }
+  if (updates.plan) {
+    await db.collection("stats").doc(userRef.id).set(
+      {
+        plan: updates.plan,
+        updatedAt: FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+  }
+
+  return {};
+};
+
+const processCulqiEvent = async (event) => {
+  const eventType = event?.type || event?.event_type || "";
+  const data = typeof event?.data === "string" ? JSON.parse(event.data) : event?.data;
+  const payload = data?.object || data || {};
+  const orderId = payload?.id || payload?.order_id;
+  if (!orderId) {
+    return { ignored: true };
+  }
+
+  const orderRef = db.collection("culqiOrders").doc(orderId);
+  const orderSnap = await orderRef.get();
+  if (!orderSnap.exists) {
+    return { ignored: true };
+  }
+
+  if (eventType !== "order.status.changed") {
+    await orderRef.set(
+      { rawEventType: eventType, updatedAt: FieldValue.serverTimestamp() },
+      { merge: true }
+    );
+    return {};
+  }
+
+  const order = await getCulqiOrder(orderId);
+  const status = String(order?.state || order?.status || "").toLowerCase();
+  const orderData = orderSnap.data();
+  const matches =
+    Number(order?.amount) === Number(orderData.amount) &&
+    String(order?.currency_code || "").toUpperCase() === "PEN";
+
+  await orderRef.set(
+    {
+      status: status || "unknown",
+      rawEventType: eventType,
+      ...(matches ? {} : { verificationError: "amount_mismatch" }),
+      updatedAt: FieldValue.serverTimestamp(),
+    },
+    { merge: true }
+  );
+
+  if (status === "paid" && !matches) {
+    return { ignored: true };
+  }
+
+  if (status === "paid" && orderData?.uid && orderData?.plan) {
+    const userRef = db.collection("users").doc(orderData.uid);
+    // Culqi resends "paid" events, so the period end is fixed on the order the first time and a
+    // completed grant is never applied again; a retry after a partial failure reuses the same end.
+    const grant = await db.runTransaction(async (tx) => {
+      const [freshOrderSnap, userSnap] = await Promise.all([tx.get(orderRef), tx.get(userRef)]);
+      const freshOrder = freshOrderSnap.data() || {};
+      if (freshOrder.planGrantedAt) {
+        return null;
+      }
+      if (freshOrder.grantPeriodEnd !== undefined) {
+        return { periodEnd: freshOrder.grantPeriodEnd };
+      }
+      const currentPeriodEnd = userSnap.data()?.currentPeriodEnd?.toMillis() || 0;
+      const periodStart = Math.max(Date.now(), currentPeriodEnd);
+      const periodEnd =
+        orderData.type === "upgrade"
+          ? null
+          : Timestamp.fromMillis(periodStart + CULQI_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+      tx.set(orderRef, { grantPeriodEnd: periodEnd }, { merge: true });
+      return { periodEnd };
+    });
+    if (!grant) {
+      return { duplicate: true };
+    }
+
+    await updateUserPlan({
+      uid: orderData.uid,
+      plan: orderData.plan,
+      status: "ACTIVE",
+      source: "culqi",
+      periodEnd: grant.periodEnd,
+      payload: {
+        culqiOrderId: orderId,
+        method: orderData.paymentMethod || "yape",
+      },
+    });
+    await userRef.set(
+      {
+        pendingPlan: FieldValue.delete(),
+        ...(orderData.type === "upgrade"
+          ? {}
+          : {
+              scheduledPlanChange: FieldValue.delete(),
+              cancelAtPeriodEnd: FieldValue.delete(),
+              accessUntil: FieldValue.delete(),
+            }),
+      },
+      { merge: true }
+    );
+    await recordSubscriptionPayment({
+      paymentId: `culqi_${orderId}`,
+      uid: orderData.uid,
+      source: "culqi",
+      plan: orderData.plan,
+      amount: orderData.amountPen,
+      currency: "PEN",
+      meta: { culqiOrderId: orderId, amountPen: orderData.amountPen },
+    });
+    const catalog = await loadPlanCatalog();
+    await queueNotification(
+      orderData.uid,
+      "planActivated",
+      { planName: catalog.label(orderData.plan) },
+      { key: `culqi_${orderId}` }
+    );
+    await orderRef.set({ planGrantedAt: FieldValue.serverTimestamp() }, { merge: true });
+  }
+
+  return {};
+};
+
+const webhookHandlers = {
+  paypal: processPaypalEvent,
+  culqi: processCulqiEvent,
+};
+
+const webhookEventId = (provider, event) => {
+  const eventId =
+    event?.id || createHash("sha256").update(JSON.stringify(event || {})).digest("hex").slice(0, 32);
+  return `${provider}_${String(eventId).replace(/\//g, "_")}`;
+};
+
+const WEBHOOK_PROCESSING_LEASE_MS = 2 * 60 * 1000;
+
+const runWebhookEvent = async (provider, event, { replay = false } = {}) => {
+  const eventRef = db.collection("webhookEvents").doc(webhookEventId(provider, event));
+
+  const claimed = await db.runTransaction(async (tx) => {
+    const eventSnap = await tx.get(eventRef);
+    if (eventSnap.exists && eventSnap.data()?.status === "processed" && !replay) {
+      return false;
+    }
+    // A concurrent delivery holds the event until its lease runs out; a crashed one doesn't.
+    const leaseStartedMs = eventSnap.data()?.updatedAt?.toMillis?.() || 0;
+    if (
+      eventSnap.data()?.status === "processing" &&
+      Date.now() - leaseStartedMs < WEBHOOK_PROCESSING_LEASE_MS
+    ) {
+      throw httpError(409, "Event is already being processed");
+    }
+
+    tx.set(
+      eventRef,
+      {
+        provider,
+        eventType: event?.event_type || event?.type || "",
+        status: "processing",
+        attempts: FieldValue.increment(1),
+        ...(eventSnap.exists
+          ? {}
+          : { payload: JSON.stringify(event || {}), receivedAt: FieldValue.serverTimestamp() }),
+        updatedAt: FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+    return true;
+  });
+
+  if (!claimed) {
+    return { duplicate: true };
+  }
+
+  try {
+    const result = await webhookHandlers[provider](event);
+    await eventRef.set(
+      {
+        status: "processed",
+        result,
+        error: FieldValue.delete(),
+        processedAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+    return result;
+  } catch (error) {
+    await eventRef.set(
+      {
+        status: "failed",
+        error: error?.message || "Webhook error",
+        updatedAt: FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+    throw error;
+  }
+};
+
+const serializeWebhookEvent = (doc) => {
+  const data = doc.data() || {};
+  return {
+    id: doc.id,
+    provider: data.provider,
+    eventType: data.eventType || "",
+    status: data.status,
+    attempts: data.attempts || 0,
+    error: data.error || null,
+    result: data.result || null,
+    receivedAt: toIso(data.receivedAt),
+    processedAt: toIso(data.processedAt),
+    updatedAt: toIso(data.updatedAt),
+  };
+};
+
+app.get("/health", (_req, res) => {
+  res.json({ ok: true });
+});
+
+app.get("/referrals/validate", limitByIp("referral-validate", 20, 60), async (req, res) => {
+  const rawCode = String(req.query.code || "").trim().toUpperCase();
+  if (!rawCode || !isValidReferralCode(rawCode)) {
+    return res.json({ valid: false });
+  }
+
+  const refUser = await findUserByReferral(rawCode);
+  if (!refUser) {
+    return res.json({ valid: false });
+  }
+
+  // Anonymous callers only learn that the code exists; the sponsor's name needs a signed-in user.
+  if (!(await optionalUser(req))) {
+    return res.json({ valid: true });
+  }
+
+  return res.json({
+    valid: true,
+    referrerId: refUser.id,
+    referrerName: refUser.fullName || "",
+  });
+});
+
+app.get("/r/:referralCode", limitByIp("referral-click", 60, 60), async (req, res) => {
+  const appBaseUrl = process.env.APP_BASE_URL;
+  if (!appBaseUrl) {
+    return res.status(500).json({ error: "APP_BASE_URL not configured" });
+  }
+
+  const rawCode = String(req.params.referralCode || "").trim().toUpperCase();
+  const rawPath = String(req.query.to || "/");
+  const target = landingUrl(rawPath, appBaseUrl);
+  const landingPath = `${target.pathname}${target.search}`;
+  utmKeys.forEach((key) => {
+    if (req.query[key]) target.searchParams.set(key, String(req.query[key]).slice(0, 100));
+  });
+
+  const refUser = isValidReferralCode(rawCode) ? await findUserByReferral(rawCode) : null;
+  if (refUser) {
+    const clickRef = db.collection("referralClicks").doc();
+    await clickRef.set({
+      referralCode: rawCode,
+      referrerId: refUser.id,
+      landingPath,
+      utm: Object.fromEntries(
+        utmKeys.map((key) => [
+          key.replace("utm_", ""),
+          req.query[key] ? String(req.query[key]).slice(0, 100) : null,
+        ])
+      ),
+      ipHash: hashIp(clientIp(req)),
+      userAgent: String(req.headers["user-agent"] || "").slice(0, 200),
+      referer: String(req.headers.referer || "").slice(0, 200) || null,
+      signedUpUid: null,
+      createdAt: FieldValue.serverTimestamp(),
+    });
+    target.searchParams.set("ref", rawCode);
+    target.searchParams.set("aid", clickRef.id);
+  }
+
+  return res.redirect(302, target.toString());
+});
+
+app.post("/users/bootstrap", requireAuth, limitByUid("bootstrap", 10, 60), async (req, res) => {
+  const schema = z
+    .object({
+      fullName: z.string().min(2).optional(),
+      referrerCode: z.string().min(3).optional(),
+      attributionId: attributionIdSchema,
+    })
+    .safeParse(req.body || {});
+
+  if (!schema.success) {
+    return res.status(400).json({ error: "Invalid payload" });
+  }
+
+  const { fullName, attributionId } = schema.data;
+  const uid = req.user.uid;
+  const userRef = db.collection("users").doc(uid);
+  const userSnap = await userRef.get();
+
+  if (!userSnap.exists) {
+    const referralCode = generateReferralCode();
+    const click = await findReferralClick(attributionId);
+    const referrerCode = schema.data.referrerCode || click?.referralCode;
+    let referredBy = null;
+    let ancestors = [];
+
+    if (referrerCode) {
+      const refUser = await findUserByReferral(referrerCode);
+      if (refUser) {
+        referredBy = refUser.id;
+        ancestors = ancestorsFor(refUser);
+      }
+    }
+
+    const userData = {
+      uid,
+      email: req.user.email || "",
+      fullName: fullName || req.user.name || "",
+      plan: "basic",
+      referralCode,
+      referredBy,
+      ancestors,
+      attributionId: click?.id || null,
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    };
+
+    // `create` fails if a concurrent bootstrap already wrote the user, so counters move once.
+    const signupBatch = db.batch();
+    signupBatch.create(userRef, userData);
+    adjustNetworkCounts(signupBatch, ancestors, 1);
+    try {
+      await signupBatch.commit();
+    } catch (error) {
+      if (error?.code !== 6) throw error;
+      const existingSnap = await userRef.get();
+      await ensureStats(uid, existingSnap.data()?.plan || "basic");
+      return res.json({ user: serializeUser(existingSnap.data()) });
+    }
+
+    if (click && click.referrerId === referredBy) {
+      await db.collection("referralClicks").doc(click.id).set(
+        { signedUpUid: uid, signedUpAt: FieldValue.serverTimestamp() },
+        { merge: true }
+      );
+    }
+
+    if (referredBy) {
+      await db.collection("users").doc(referredBy).collection("network").doc(uid).set({
+        uid,
+        name: userData.fullName || userData.email,
+        plan: "basic",
+        level: 1,
+        earnings: formatUsd(0),
+        createdAt: FieldValue.serverTimestamp(),
+      });
+
+      await db.collection("users").doc(referredBy).collection("activity").add({
+        name: userData.fullName || userData.email,
+        action: "se unio a tu red",
+        level: "Nivel 1",
+        time: "Ahora",
+        createdAt: FieldValue.serverTimestamp(),
+      });
+      await queueNotification(
+        referredBy,
+        "newMember",
+        { memberName: userData.fullName || userData.email },
+        { key: uid }
+      );
+      await emitEvent(
+        "member.joined",
+        { uid, name: userData.fullName || "", referredBy, ancestors },
+        { uids: ancestors }
+      );
+    }
+  }
+
+  const freshSnap = await userRef.get();
+  const userData = freshSnap.data();
+  await ensureStats(uid, userData?.plan || "basic");
+
+  return res.json({ user: serializeUser(userData) });
+});
+
+app.get("/me", requireAuth, async (req, res) => {
+  const uid = req.user.uid;
+  const userSnap = await db.collection("users").doc(uid).get();
+  if (!userSnap.exists) {
+    return res.status(404).json({ error: "User not found" });
+  }
+  return res.json({ user: serializeUser(userSnap.data()), adminRole: adminRoleOf(req.user) });
+});
+
+app.get("/me/notifications", requireAuth, async (req, res) => {
+  const userSnap = await db.collection("users").doc(req.user.uid).get();
+  if (!userSnap.exists) {
+    return res.status(404).json({ error: "User not found" });
+  }
+  return res.json({
+    email: userSnap.data().email || "",
+    preferences: notificationPreferences(userSnap.data()),
+  });
+});
+
+app.patch("/me/notifications", requireAuth, async (req, res) => {
+  const schema = z
+    .object(Object.fromEntries(NOTIFICATION_TYPES.map((type) => [type, z.boolean().optional()])))
+    .strict()
+    .safeParse(req.body || {});
+
+  if (!schema.success) {
+    return res.status(400).json({ error: "Invalid payload" });
+  }
+
+  const userRef = db.collection("users").doc(req.user.uid);
+  const userSnap = await userRef.get();
+  if (!userSnap.exists) {
+    return res.status(404).json({ error: "User not found" });
+  }
+
+  const changes = Object.fromEntries(
+    Object.entries(schema.data).filter(([, value]) => typeof value === "boolean")
+  );
+  await userRef.set(
+    { notificationPrefs: changes, updatedAt: FieldValue.serverTimestamp() },
+    { merge: true }
+  );
+
+  const current = userSnap.data().notificationPrefs || {};
+  return res.json({
+    preferences: notificationPreferences({ notificationPrefs: { ...current, ...changes } }),
+  });
+});
+
+app.get("/me/webhooks", requireAuth, async (req, res) => {
+  const snap = await db.collection("webhookEndpoints").where("ownerUid", "==", req.user.uid).get();
+  res.json({
+    endpoints: snap.docs.map(serializeWebhookEndpoint),
+    eventTypes: OUTBOUND_EVENT_TYPES,
+  });
+});
+
+app.post("/me/webhooks", requireAuth, memberWebhooksLimit, async (req, res) => {
+  const schema = webhookEndpointSchema.safeParse(req.body || {});
+  if (!schema.success) {
+    return res.status(400).json({ error: "Invalid payload" });
+  }
+  if (!(await isPublicWebhookUrl(schema.data.url))) {
+    return res.status(400).json({ error: "Webhook URL must resolve to a public address" });
+  }
+
+  const activeSnap = await db
+    .collection("webhookEndpoints")
+    .where("ownerUid", "==", req.user.uid)
+    .where("active", "==", true)
+    .count()
+    .get();
+  if (activeSnap.data().count >= MEMBER_WEBHOOK_LIMIT) {
+    return res.status(409).json({ error: `Maximum of ${MEMBER_WEBHOOK_LIMIT} endpoints` });
+  }
+
+  const result = await createWebhookEndpoint(req.user.uid, schema.data, req.user.uid);
+  return res.status(201).json(result);
+});
+
+const findOwnedEndpoint = async (req) => {
+  if (!isDocId(req.params.id)) return null;
+  const snap = await db.collection("webhookEndpoints").doc(req.params.id).get();
+  return snap.exists && snap.data().ownerUid === req.user.uid ? snap : null;
+};
+
+app.delete("/me/webhooks/:id", requireAuth, async (req, res) => {
+  const endpointSnap = await findOwnedEndpoint(req);
+  if (!endpointSnap) {
+    return res.status(404).json({ error: "Endpoint not found" });
+  }
+
+  await endpointSnap.ref.set(
+    { active: false, updatedAt: FieldValue.serverTimestamp() },
+    { merge: true }
+  );
+  return res.json({ ok: true });
+});
+
+app.get("/me/webhooks/:id/deliveries", requireAuth, async (req, res) => {
+  const endpointSnap = await findOwnedEndpoint(req);
+  if (!endpointSnap) {
+    return res.status(404).json({ error: "Endpoint not found" });
+  }
+
+  const query = db.collection("webhookDeliveries").where("endpointId", "==", endpointSnap.id);
+  const page = await listWebhookDeliveries(query, req);
+  if (!page) {
+    return res.status(400).json({ error: "Invalid cursor" });
+  }
+  return res.json(page);
+});
+
+app.post("/me/webhooks/deliveries/:deliveryId/redeliver", requireAuth, memberWebhooksLimit, async (req, res) => {
+  if (!isDocId(req.params.deliveryId)) {
+    return res.status(404).json({ error: "Delivery not found" });
+  }
+  const deliverySnap = await db.collection("webhookDeliveries").doc(req.params.deliveryId).get();
+  if (!deliverySnap.exists || deliverySnap.data().ownerUid !== req.user.uid) {
+    return res.status(404).json({ error: "Delivery not found" });
+  }
+
+  const status = await redeliver(deliverySnap.ref);
+  return res.json({ ok: true, status });
+});
+
+app.get("/me/export", requireAuth, limitByUid("export", 5, 3600), async (req, res) => {
+  const uid = req.user.uid;
+  const userRef = db.collection("users").doc(uid);
+  const byUid = (collection) => db.collection(collection).where("uid", "==", uid);
+
+  const [
+    userSnap,
+    statsSnap,
+    commissionDocs,
+    payoutsSnap,
+    activitySnap,
+    networkSnap,
+    subscriptionPaymentsSnap,
+    culqiOrdersSnap,
+    closureSnap,
+  ] = await Promise.all([
+    userRef.get(),
+    db.collection("stats").doc(uid).get(),
+    allQueryDocs(
+      db.collection("commissions").where("beneficiaryId", "==", uid).orderBy("createdAt", "desc")
+    ),
+    byUid("payouts").get(),
+    userRef.collection("activity").get(),
+    userRef.collection("network").get(),
+    byUid("subscriptionPayments").get(),
+    byUid("culqiOrders").get(),
+    db.collection("accountClosures").doc(uid).get(),
+  ]);
+
+  if (!userSnap.exists) {
+    return res.status(404).json({ error: "User not found" });
+  }
+
+  const archive = {
+    exportedAt: new Date().toISOString(),
+    user: toExportValue(userSnap.data()),
+    stats: toExportValue(statsSnap.data() || null),
+    commissions: commissionDocs.map(serializeCommission),
+    payouts: exportDocs(payoutsSnap),
+    activity: exportDocs(activitySnap),
+    network: exportDocs(networkSnap),
+    subscriptionPayments: exportDocs(subscriptionPaymentsSnap),
+    culqiOrders: exportDocs(culqiOrdersSnap),
+    accountClosure: closureSnap.exists ? serializeClosure(closureSnap) : null,
+  };
+
+  res.setHeader("Content-Disposition", `attachment; filename="mis-datos-${uid}.json"`);
+  return res.json(archive);
+});
+
+app.post("/me/close-account", requireAuth, async (req, res) => {
+  const schema = z
+    .object({
+      reason: z.string().trim().max(500).optional(),
+      payout: payoutDestinationSchema.optional(),
+    })
+    .safeParse(req.body || {});
+
+  if (!schema.success) {
+    return res.status(400).json({ error: "Invalid payload" });
+  }
+
+  const uid = req.user.uid;
+  if (adminEmails.includes((req.user.email || "").toLowerCase())) {
+    return res.status(403).json({ error: "Cannot close owner account" });
+  }
+
+  const closureRef = db.collection("accountClosures").doc(uid);
+  const [closureSnap, statsSnap] = await Promise.all([
+    closureRef.get(),
+    db.collection("stats").doc(uid).get(),
+  ]);
+  if (closureSnap.exists && closureSnap.data().status === "pending") {
+    return res.status(409).json({ error: "Account closure already requested" });
+  }
+
+  const stats = statsSnap.data() || {};
+  const owed = Number(stats.availableBalanceUsd || 0) + Number(stats.pendingBalanceUsd || 0);
+  const payout = schema.data.payout || (await lastPayoutDestination(uid));
+  if (owed > 0 && !payout) {
+    return res.status(400).json({ error: "Payout destination required to settle the balance" });
+  }
+  if (payout?.method === "paypal" && !z.string().email().safeParse(payout.destination).success) {
+    return res.status(400).json({ error: "Invalid PayPal email" });
+  }
+
+  const effectiveAt = Timestamp.fromDate(
+    new Date(Date.now() + ACCOUNT_CLOSURE_DAYS * 24 * 60 * 60 * 1000)
+  );
+  const batch = db.batch();
+  batch.set(closureRef, {
+    status: "pending",
+    email: req.user.email || "",
+    reason: schema.data.reason || null,
+    payout: payout || null,
+    requestedAt: FieldValue.serverTimestamp(),
+    effectiveAt,
+  });
+  batch.set(
+    db.collection("users").doc(uid),
+    { closureEffectiveAt: effectiveAt, updatedAt: FieldValue.serverTimestamp() },
+    { merge: true }
+  );
+  await batch.commit();
+
+  return res.json({ ok: true, status: "pending", effectiveAt: toIso(effectiveAt) });
+});
+
+app.delete("/me/close-account", requireAuth, async (req, res) => {
+  const uid = req.user.uid;
+  const closureRef = db.collection("accountClosures").doc(uid);
+  const closureSnap = await closureRef.get();
+  if (!closureSnap.exists || closureSnap.data().status !== "pending") {
+    return res.status(404).json({ error: "No pending closure" });
+  }
+
+  const batch = db.batch();
+  batch.set(
+    closureRef,
+    { status: "cancelled", cancelledAt: FieldValue.serverTimestamp() },
+    { merge: true }
+  );
+  batch.set(
+    db.collection("users").doc(uid),
+    { closureEffectiveAt: FieldValue.delete(), updatedAt: FieldValue.serverTimestamp() },
+    { merge: true }
+  );
+  await batch.commit();
+
+  return res.json({ ok: true, status: "cancelled" });
+});
+
+app.get("/me/funnel", requireAuth, async (req, res) => {
+  const schema = z
+    .object({
+      from: z.coerce.date().optional(),
+      to: z.coerce.date().optional(),
+      interval: z.enum(["day", "week", "month"]).default("week"),
+    })
+    .safeParse(req.query || {});
+  if (!schema.success) {
+    return res.status(400).json({ error: "Invalid query" });
+  }
+
+  const uid = req.user.uid;
+  const to = schema.data.to || new Date();
+  const from = schema.data.from || new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+  if (from > to || to.getTime() - from.getTime() > 366 * 24 * 60 * 60 * 1000) {
+    return res.status(400).json({ error: "Invalid date range" });
+  }
+
+  const inRange = (query) =>
+    query
+      .where("createdAt", ">=", Timestamp.fromDate(from))
+      .where("createdAt", "<=", Timestamp.fromDate(to));
+
+  const [clicksSnap, signupsSnap, paymentsSnap, salesSnap] = await Promise.all([
+    inRange(db.collection("referralClicks").where("referrerId", "==", uid)).select("createdAt").get(),
+    inRange(db.collection("users").where("referredBy", "==", uid)).select("createdAt").get(),
+    inRange(db.collection("subscriptionPayments").where("referrerId", "==", uid))
+      .select("createdAt", "uid")
+      .get(),
+    inRange(db.collection("bundleSales").where("referrerId", "==", uid)).select("createdAt").get(),
+  ]);
+
+  const buckets = {};
+  const paidUsers = {};
+  const tally = (snap, key, dedupeField) => {
+    snap.docs.forEach((doc) => {
+      const createdAt = doc.get("createdAt")?.toDate?.();
+      if (!createdAt) return;
+      const bucket = funnelBucket(createdAt, schema.data.interval);
+      if (dedupeField) {
+        const dedupeKey = `${bucket}:${doc.get(dedupeField)}`;
+        if (paidUsers[dedupeKey]) return;
+        paidUsers[dedupeKey] = true;
+      }
+      buckets[bucket] = buckets[bucket] || { clicks: 0, signups: 0, paidPlans: 0, bundleSales: 0 };
+      buckets[bucket][key] += 1;
+    });
+  };
+
+  tally(clicksSnap, "clicks");
+  tally(signupsSnap, "signups");
+  tally(paymentsSnap, "paidPlans", "uid");
+  tally(salesSnap, "bundleSales");
+
+  const periods = Object.keys(buckets)
+    .sort()
+    .map((period) => ({ period, ...buckets[period] }));
+  const totals = periods.reduce(
+    (acc, row) => ({
+      clicks: acc.clicks + row.clicks,
+      signups: acc.signups + row.signups,
+      paidPlans: acc.paidPlans + row.paidPlans,
+      bundleSales: acc.bundleSales + row.bundleSales,
+    }),
+    { clicks: 0, signups: 0, paidPlans: 0, bundleSales: 0 }
+  );
+  const rate = (part, whole) => (whole ? round2((part / whole) * 100) : 0);
+
+  res.json({
+    from: from.toISOString(),
+    to: to.toISOString(),
+    interval: schema.data.interval,
+    totals,
+    conversion: {
+      clickToSignup: rate(totals.signups, totals.clicks),
+      signupToPaid: rate(totals.paidPlans, totals.signups),
+    },
+    periods,
+  });
+});
+
+app.get("/dashboard", requireAuth, async (req, res) => {
+  const uid = req.user.uid;
+  await refreshPendingCommissions(uid);
+  const [userSnap, statsSnap, activitySnap] = await Promise.all([
+    db.collection("users").doc(uid).get(),
+    db.collection("stats").doc(uid).get(),
+    db.collection("users").doc(uid).collection("activity").orderBy("createdAt", "desc").limit(8).get(),
+  ]);
+
+  const user = userSnap.data();
+  const stats = statsSnap.data() || {};
+
+  const activity = activitySnap.empty
+    ? []
+    : activitySnap.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+
+  const catalog = await loadPlanCatalog();
+  const networkTotal = Number(stats.networkTotal || 0);
+
+  const responseStats = [
+    {
+      title: "Ganancias Totales",
+      value: formatUsd(stats.totalEarningsUsd ?? 0),
+      change: stats.totalEarningsUsd ? "+0%" : "Sin cambios",
+      variant: "emerald",
+    },
+    {
+      title: "Saldo Disponible",
+      value: formatUsd(stats.availableBalanceUsd ?? 0),
+      change:
+        (stats.availableBalanceUsd ?? 0) >= PAYOUT_MIN_USD
+          ? "Listo para pago"
+          : `Min. ${formatUsd(PAYOUT_MIN_USD)}`,
+      variant: "gold",
+    },
+    {
+      title: "Plan Actual",
+      value: catalog.label(user?.plan || "basic"),
+      change: "Activo",
+      variant: "default",
+    },
+    {
+      title: "Red Total",
+      value: `${networkTotal}`,
+      change: networkTotal ? "En crecimiento" : "Sin actividad",
+      variant: "default",
+    },
+  ];
+
+  return res.json({
+    stats: responseStats,
+    recentActivity: activity,
+  });
+});
+
+app.get("/tools", requireAuth, async (req, res) => {
+  const uid = req.user.uid;
+  const userSnap = await db.collection("users").doc(uid).get();
+  const planId = userSnap.data()?.plan || "basic";
+  const catalog = await loadPlanCatalog();
+  const rank = catalog.rank(planId);
+  const allTools = await loadTools();
+
+  const tools = allTools
+    .filter((tool) => tool.active !== false)
+    .map((tool) =>
+      serializeTool(tool, catalog.rank(tool.minPlan) <= rank ? "active" : "inactive")
+    );
+
+  res.json({ tools });
+});
+
+app.post("/tools/:id/launch", requireAuth, async (req, res) => {
+  const uid = req.user.uid;
+  const allTools = await loadTools();
+  const tool = allTools.find((item) => item.id === req.params.id && item.active !== false);
+  if (!tool) {
+    return res.status(404).json({ error: "Tool not found" });
+  }
+  if (!tool.url) {
+    return res.status(409).json({ error: "Tool is not launchable" });
+  }
+
+  const userSnap = await db.collection("users").doc(uid).get();
+  const user = userSnap.data() || {};
+  const planId = user.plan || "basic";
+  const catalog = await loadPlanCatalog();
+  if (user.disabled || catalog.rank(tool.minPlan) > catalog.rank(planId)) {
+    return res.status(403).json({ error: "Plan does not include this tool" });
+  }
+
+  try {
+    const { token, payload } = signLaunchToken({
+      uid,
+      email: user.email || req.user.email,
+      name: user.fullName || req.user.name,
+      plan: planId,
+      toolId: tool.id,
+    });
+
+    await db.collection("toolLaunches").doc(payload.jti).set({
+      uid,
+      toolId: tool.id,
+      plan: planId,
+      expiresAt: Timestamp.fromMillis(payload.exp * 1000),
+      usedAt: null,
+      createdAt: FieldValue.serverTimestamp(),
+    });
+
+    const launchUrl = new URL(tool.url);
+    launchUrl.searchParams.set("launch_token", token);
+
+    return res.json({
+      token,
+      expiresAt: new Date(payload.exp * 1000).toISOString(),
+      launchUrl: launchUrl.toString(),
+    });
+  } catch (error) {
+    return res.status(500).json({ error: error?.message || "Server error" });
+  }
+});
+
+app.get("/.well-known/jwks.json", (_req, res) => {
+  try {
+    res.set("Cache-Control", "public, max-age=300");
+    return res.json(getLaunchJwks());
+  } catch (error) {
+    return res.status(500).json({ error: error?.message || "Server error" });
+  }
+});
+
+app.post("/tools/verify", limitByIp("tools-verify", 120, 60), async (req, res) => {
+  const schema = z
+    .object({ token: z.string().min(10), toolId: z.string().min(1) })
+    .safeParse(req.body || {});
+  if (!schema.success) {
+    return res.status(400).json({ error: "Invalid payload" });
+  }
+
+  let payload;
+  try {
+    payload = verifyLaunchToken(schema.data.token, { toolId: schema.data.toolId });
+  } catch (error) {
+    return res.status(401).json({ valid: false, error: error?.message || "Invalid token" });
+  }
+
+  const launchRef = db.collection("toolLaunches").doc(payload.jti);
+  try {
+    await db.runTransaction(async (tx) => {
+      const launchSnap = await tx.get(launchRef);
+      if (!launchSnap.exists) {
+        throw httpError(401, "Unknown token");
+      }
+      if (launchSnap.data().usedAt) {
+        throw httpError(401, "Token already used");
+      }
+      tx.update(launchRef, { usedAt: FieldValue.serverTimestamp() });
+    });
+  } catch (error) {
+    return res
+      .status(error?.status || 500)
+      .json({ valid: false, error: error?.message || "Server error" });
+  }
+
+  return res.json({
+    valid: true,
+    user: {
+      uid: payload.sub,
+      email: payload.email,
+      name: payload.name,
+      plan: payload.plan,
+    },
+    expiresAt: new Date(payload.exp * 1000).toISOString(),
+  });
+});
+
+const networkSortFields = {
+  name: (member) => member.name.toLowerCase(),
+  level: (member) => member.level,
+  joinedAt: (member) => member.joinedAt || "",
+  earnings: (member) => member.earningsUsd,
+  sales: (member) => member.salesCount,
+};
+
+app.get("/network", requireAuth, async (req, res) => {
+  const schema = z
+    .object({
+      q: z.string().trim().max(100).optional(),
+      level: z.coerce.number().int().min(1).max(MAX_LEVELS).optional(),
+      planStatus: z.enum(["ACTIVE", "SUSPENDED", "CANCELLED"]).optional(),
+      sort: z.enum(["name", "level", "joinedAt", "earnings", "sales"]).default("level"),
+      order: z.enum(["asc", "desc"]).optional(),
+      limit: z.coerce.number().int().min(1).max(200).default(50),
+      cursor: z.string().min(1).optional(),
+    })
+    .safeParse(req.query || {});
+
+  if (!schema.success) {
+    return res.status(400).json({ error: "Invalid query" });
+  }
+
+  const { q, level: levelFilter, planStatus, sort, limit, cursor } = schema.data;
+  const order =
+    schema.data.order || (["earnings", "sales", "joinedAt"].includes(sort) ? "desc" : "asc");
+  const uid = req.user.uid;
+  const userSnap = await db.collection("users").doc(uid).get();
+  const planId = userSnap.data()?.plan || "basic";
+
+  const catalog = await loadPlanCatalog();
+  const unlockedLevels = catalog.levelCap(planId);
+
+  const { members: downline, counts } = await buildDownline(uid);
+
+  const needle = q?.toLowerCase();
+  let filtered = downline
+    .filter((member) => !levelFilter || member.level === levelFilter)
+    .filter((member) => !planStatus || member.planStatus === planStatus)
+    .filter(
+      (member) =>
+        !needle ||
+        member.name.toLowerCase().includes(needle) ||
+        member.email.toLowerCase().includes(needle)
+    );
+
+  // Earnings and sales are stored per member; only load them all when sorting needs them.
+  let earnings = new Map();
+  if (sort === "earnings") {
+    earnings = await earningsByMember(uid);
+    filtered = filtered.map((member) => ({
+      ...member,
+      earningsUsd: earnings.get(member.id) || 0,
+    }));
+  }
+
+  let salesCounts = new Map();
+  if (sort === "sales") {
+    salesCounts = await salesCountByMember(filtered.map((member) => member.id));
+    filtered = filtered.map((member) => ({
+      ...member,
+      salesCount: salesCounts.get(member.id) || 0,
+    }));
+  }
+
+  const keyOf = networkSortFields[sort];
+  const direction = order === "desc" ? -1 : 1;
+  filtered.sort((a, b) => {
+    const left = keyOf(a);
+    const right = keyOf(b);
+    if (left < right) return -direction;
+    if (left > right) return direction;
+    return a.id < b.id ? -1 : 1;
+  });
+
+  const start = cursor ? filtered.findIndex((member) => member.id === cursor) + 1 : 0;
+  const page = filtered.slice(start, start + limit);
+  if (sort !== "earnings") {
+    earnings = await earningsByMember(uid, page.map((member) => member.id));
+  }
+  if (sort !== "sales") {
+    salesCounts = await salesCountByMember(page.map((member) => member.id));
+  }
+
+  const members = page.map((member) => ({
+    id: member.id,
+    name: member.name,
+    plan: member.plan,
+    planStatus: member.planStatus,
+    level: member.level,
+    joinedAt: member.joinedAt,
+    earnings: formatUsd(earnings.get(member.id) || 0),
+    earningsUsd: earnings.get(member.id) || 0,
+    salesCount: salesCounts.get(member.id) || 0,
+  }));
+  const nextCursor = start + limit < filtered.length ? page[page.length - 1].id : null;
+
+  const levels = [];
+  for (let level = 1; level <= MAX_LEVELS; level += 1) {
+    const unlockPlan = catalog.plans.find((plan) => catalog.levelPercent(plan.id, level) > 0);
+    if (!unlockPlan) continue;
+    levels.push({
+      level,
+      commission: catalog.levelPercent(unlockPlan.id, level),
+      unlockPlan: unlockPlan.name,
+      unlocked: unlockedLevels >= level,
+      members: counts[level] || 0,
+    });
+  }
+
+  const totalPotential = Math.max(0, ...catalog.plans.map((plan) => catalog.totalPercent(plan.id)));
+  const currentPotential = catalog.totalPercent(planId);
+  const upline = await getUpline(uid);
+
+  return res.json({
+    levels,
+    members,
+    total: filtered.length,
+    nextCursor,
+    totalPotential,
+    currentPotential,
+    upline,
+  });
+});
+
+app.get("/subscription", requireAuth, async (req, res) => {
+  const uid = req.user.uid;
+  const userSnap = await db.collection("users").doc(uid).get();
+  const user = await applyDueScheduledPlanChange(uid, userSnap.data() || {});
+  const currentPlan = user.plan || "basic";
+  const catalog = await loadPlanCatalog();
+  const provider = user.planSource || (user.paypalSubscriptionId ? "paypal" : null);
+
+  let nextBillingDate = null;
+  if (!user.cancelAtPeriodEnd) {
+    if (provider === "paypal" && user.paypalSubscriptionId) {
+      try {
+        const subscription = await getPaypalSubscription(user.paypalSubscriptionId);
+        nextBillingDate = subscription?.billing_info?.next_billing_time || null;
+      } catch (error) {
+        nextBillingDate = null;
+      }
+    } else if (provider === "culqi") {
+      nextBillingDate = toIso(user.currentPeriodEnd);
+    }
+  }
+
+  res.json({
+    plans: catalog.plans.map((plan) => serializePlan(plan, catalog)),
+    currentPlan,
+    status: user.status || null,
+    provider,
+    nextBillingDate,
+    pendingPlan: user.pendingPlan || null,
+    scheduledPlanChange: user.scheduledPlanChange
+      ? {
+          plan: user.scheduledPlanChange.plan,
+          effectiveAt: toIso(user.scheduledPlanChange.effectiveAt),
+          reason: user.scheduledPlanChange.reason || null,
+        }
+      : null,
+    cancelAtPeriodEnd: !!user.cancelAtPeriodEnd,
+    accessUntil: toIso(user.accessUntil),
+  });
+});
+
+app.post("/subscription/cancel", requireAuth, async (req, res) => {
+  const schema = z
+    .object({ reason: z.string().trim().max(200).optional() })
+    .safeParse(req.body || {});
+  if (!schema.success) {
+    return res.status(400).json({ error: "Invalid payload" });
+  }
+
+  const uid = req.user.uid;
+  const userRef = db.collection("users").doc(uid);
+  const userSnap = await userRef.get();
+  const user = userSnap.data() || {};
+  if (user.cancelAtPeriodEnd) {
+    return res.status(409).json({ error: "Subscription already cancelled" });
+  }
+
+  const provider = subscriptionProvider(user);
+  if (!provider) {
+    return res.status(409).json({ error: "No active subscription" });
+  }
+
+  const catalog = await loadPlanCatalog();
+  const reason = schema.data.reason || "";
+
+  try {
+    let accessUntil = user.currentPeriodEnd || Timestamp.now();
+    if (provider === "paypal") {
+      const subscription = await getPaypalSubscription(user.paypalSubscriptionId).catch(() => null);
+      const nextBillingTime = subscription?.billing_info?.next_billing_time;
+      await cancelPaypalSubscription(user.paypalSubscriptionId, reason);
+      accessUntil = nextBillingTime ? Timestamp.fromDate(new Date(nextBillingTime)) : Timestamp.now();
+    }
+
+    await userRef.set(
+      {
+        cancelAtPeriodEnd: true,
+        accessUntil,
+        autoRenew: false,
+        cancelReason: reason || null,
+        cancelRequestedAt: FieldValue.serverTimestamp(),
+        pendingPlan: FieldValue.delete(),
+        scheduledPlanChange: {
+          plan: catalog.plans[0]?.id || "basic",
+          provider,
+          effectiveAt: accessUntil,
+          reason: "cancellation",
+        },
+        updatedAt: FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+
+    if (accessUntil.toMillis() <= Date.now()) {
+      await applyDueScheduledPlanChange(uid, (await userRef.get()).data());
+    }
+
+    return res.json({ ok: true, status: "cancelled", provider, accessUntil: toIso(accessUntil) });
+  } catch (error) {
+    return res.status(500).json({ error: error?.message || "Server error" });
+  }
+});
+
+app.post("/subscription/upgrade", requireAuth, async (req, res) => {
+  const catalog = await loadPlanCatalog();
+  const schema = z
+    .object({
+      plan: z.string().refine((plan) => catalog.isPurchasable(plan)),
+      phone: z.string().min(9).max(15).optional(),
+      paymentMethod: z.enum(["yape", "plin"]).optional(),
+    })
+    .safeParse(req.body || {});
+  if (!schema.success) {
+    return res.status(400).json({ error: "Invalid plan" });
+  }
+
+  const uid = req.user.uid;
+  const { plan, phone, paymentMethod } = schema.data;
+  const userRef = db.collection("users").doc(uid);
+  const userSnap = await userRef.get();
+  if (!userSnap.exists) {
+    return res.status(404).json({ error: "User not found" });
+  }
+
+  const user = await applyDueScheduledPlanChange(uid, userSnap.data());
+  const currentPlan = user.plan || "basic";
+  if (plan === currentPlan) {
+    if (user.scheduledPlanChange || user.pendingPlan) {
+      await userRef.set(
+        { scheduledPlanChange: FieldValue.delete(), pendingPlan: FieldValue.delete() },
+        { merge: true }
+      );
+      return res.json({ ok: true, status: "unchanged", plan });
+    }
+    return res.status(400).json({ error: "Already on this plan" });
+  }
+
+  const provider = subscriptionProvider(user);
+  const isUpgrade = catalog.rank(plan) > catalog.rank(currentPlan);
+
+  if (!provider) {
+    if (isUpgrade) {
+      return res.status(409).json({ error: "No active subscription to change" });
+    }
+    await updateUserPlan({ uid, plan });
+    return res.json({ ok: true, status: "changed", plan });
+  }
+
+  try {
+    if (provider === "paypal") {
+      const paypalPlanId = catalog.paypalPlanId(plan);
+      if (!paypalPlanId) {
+        return res.status(400).json({ error: "Invalid plan" });
+      }
+
+      const baseUrl = getBaseUrl(req);
+      const revision = await revisePaypalSubscription(user.paypalSubscriptionId, {
+        planId: paypalPlanId,
+        returnUrl: `${baseUrl}/subscription?paypal=updated`,
+        cancelUrl: `${baseUrl}/subscription?paypal=cancel`,
+      });
+      const approval = revision?.links?.find((link) => link.rel === "approve");
+
+      await userRef.set(
+        { pendingPlan: plan, updatedAt: FieldValue.serverTimestamp() },
+        { merge: true }
+      );
+
+      return res.json({
+        ok: true,
+        status: approval?.href ? "approval_required" : "pending",
+        provider,
+        plan,
+        approvalUrl: approval?.href || null,
+        effective: isUpgrade ? "on_confirmation" : "next_billing_date",
+      });
+    }
+
+    if (!isUpgrade) {
+      const effectiveAt = user.currentPeriodEnd || Timestamp.now();
+      await userRef.set(
+        {
+          scheduledPlanChange: { plan, provider, effectiveAt },
+          updatedAt: FieldValue.serverTimestamp(),
+        },
+        { merge: true }
+      );
+      return res.json({
+        ok: true,
+        status: "scheduled",
+        provider,
+        plan,
+        effectiveAt: toIso(effectiveAt),
+      });
+    }
+
+    if (!phone) {
+      return res.status(400).json({ error: "Phone is required for Culqi payments" });
+    }
+
+    const periodMs = CULQI_PERIOD_DAYS * 24 * 60 * 60 * 1000;
+    const remainingMs = Math.max(0, (user.currentPeriodEnd?.toMillis() || 0) - Date.now());
+    if (user.currentPeriodEnd && !remainingMs) {
+      return res.status(409).json({ error: "Current period has ended; purchase a new plan" });
+    }
+    const ratio = user.currentPeriodEnd ? Math.min(1, remainingMs / periodMs) : 1;
+    const amountPen = round2((catalog.pricePen(plan) - catalog.pricePen(currentPlan)) * ratio);
+    if (amountPen <= 0) {
+      return res.status(409).json({ error: "Nothing to charge for this change" });
+    }
+
+    const order = await createPlanOrder({
+      user: req.user,
+      plan,
+      phone,
+      paymentMethod,
+      amountPen,
+      type: "upgrade",
+      fromPlan: currentPlan,
+    });
+    await userRef.set(
+      { pendingPlan: plan, updatedAt: FieldValue.serverTimestamp() },
+      { merge: true }
+    );
+
+    return res.json({ ok: true, status: "payment_required", provider, plan, amountPen, order });
+  } catch (error) {
+    return res.status(500).json({ error: error?.message || "Server error" });
+  }
+});
+
+app.post("/paypal/create-subscription", requireAuth, checkoutLimit, async (req, res) => {
+  try {
+    const { planCode } = req.body || {};
+    const catalog = await loadPlanCatalog();
+    const planId = catalog.isPurchasable(planCode) ? catalog.paypalPlanId(planCode) : null;
+    if (!planCode || !planId) {
+      return res.status(400).json({ error: "Invalid plan" });
+    }
+
+    const baseUrl = getBaseUrl(req);
+    const returnUrl = `${baseUrl}/subscription?paypal=success`;
+    const cancelUrl = `${baseUrl}/subscription?paypal=cancel`;
+
+    const accessToken = await getPaypalToken();
+    const response = await fetch(`${getPaypalBaseUrl()}/v1/billing/subscriptions`, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        plan_id: planId,
+        custom_id: `${req.user.uid}:${planCode}`,
+        application_context: {
+          brand_name: "Afiliados PRO",
+          locale: "es-PE",
+          user_action: "SUBSCRIBE_NOW",
+          return_url: returnUrl,
+          cancel_url: cancelUrl,
+        },
+      }),
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      return res.status(response.status).json({ error: data?.message || "PayPal error" });
+    }
+
+    const approval = data?.links?.find((link) => link.rel === "approve");
+    if (!approval?.href) {
+      return res.status(500).json({ error: "No approval link" });
+    }
+
+    await db.collection("users").doc(req.user.uid).set(
+      {
+        paypalSubscriptionId: data.id,
+        paypalPlanId: planId,
+        pendingPlan: planCode,
+        updatedAt: FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+
+    return res.status(200).json({ approvalUrl: approval.href, subscriptionId: data.id });
+  } catch (error) {
+    return res.status(500).json({ error: error?.message || "Server error" });
+  }
+});
+
+app.post("/paypal/webhook", limitByIp("paypal-webhook", 300, 60), async (req, res) => {
+  try {
+    const event = typeof req.body === "string" ? JSON.parse(req.body) : req.body;
+    const ok = await verifyPaypalWebhook(req.headers, event);
+    if (!ok) {
+      return res.status(400).json({ error: "Webhook not verified" });
+    }
+
+    const result = await runWebhookEvent("paypal", event);
+    return res.status(200).json({ ok: true, ...result });
+  } catch (error) {
+    return res.status(error?.status || 500).json({ error: error?.message || "Webhook error" });
+  }
+});
+
+app.post("/culqi/orders", requireAuth, checkoutLimit, async (req, res) => {
+  if (!CULQI_SECRET_KEY || !CULQI_PUBLIC_KEY) {
+    return res.status(500).json({ error: "Culqi not configured" });
+  }
+
+  const catalog = await loadPlanCatalog();
+  const schema = z
+    .object({
+      plan: z.string().refine((plan) => catalog.isPurchasable(plan)),
+      phone: z.string().min(9).max(15),
+      paymentMethod: z.enum(["yape", "plin"]).optional(),
+    })
+    .safeParse(req.body || {});
+
+  if (!schema.success) {
+    return res.status(400).json({ error: "Invalid payload" });
+  }
+
+  const { plan, phone, paymentMethod } = schema.data;
+  const amountPen = catalog.pricePen(plan);
+  if (!amountPen) {
+    return res.status(400).json({ error: "Invalid plan" });
+  }
+
+  try {
+    const order = await createPlanOrder({ user: req.user, plan, phone, paymentMethod, amountPen });
+    return res.json(order);
+  } catch (error) {
+    return res.status(500).json({ error: error?.message || "Culqi error" });
+  }
+});
+
+app.post("/culqi/webhook", limitByIp("culqi-webhook", 300, 60), async (req, res) => {
+  try {
+    if (!verifyCulqiWebhook(req.headers)) {
+      return res.status(401).json({ error: "Webhook not verified" });
+    }
+
+    const event = typeof req.body === "string" ? JSON.parse(req.body) : req.body;
+    const eventType = event?.type || event?.event_type || "";
+    if (!eventType) {
+      return res.status(400).json({ error: "Missing event type" });
+    }
+
+    const result = await runWebhookEvent("culqi", event);
+    return res.status(200).json({ ok: true, ...result });
+  } catch (error) {
+    return res.status(error?.status || 500).json({ error: error?.message || "Webhook error" });
+  }
+});
+
+app.post("/bundle/sales", salesGuard("sales:write", "sales", 120), async (req, res) => {
+  const schema = z
+    .object({
+      externalId: z.string().min(3).max(200).refine(isDocId).optional(),
+      buyerEmail: z.string().email(),
+      amount: z.number().positive().optional(),
+      currency: z.enum(SUPPORTED_CURRENCIES).optional(),
+      amountPen: z.number().positive().optional(),
+      referralCode: z.string().min(3).optional(),
+      attributionId: attributionIdSchema,
+    })
+    .refine((data) => (data.amount && data.currency) || data.amountPen)
+    .safeParse(req.body || {});
+
+  if (!schema.success) {
+    return res.status(400).json({ error: "Invalid payload" });
+  }
+
+  const { externalId, buyerEmail, attributionId } = schema.data;
+  const { source } = req.salesKey;
+  const amount = schema.data.amount ?? schema.data.amountPen;
+  const currency = schema.data.amount ? schema.data.currency : "PEN";
+  // External ids are only unique within one integration, so the sale id is scoped by source.
+  const saleId = externalId ? `${source}:${externalId}` : db.collection("bundleSales").doc().id;
+  const saleRef = db.collection("bundleSales").doc(saleId);
+  const [saleSnap, unscopedSnap] = await Promise.all([
+    saleRef.get(),
+    externalId ? db.collection("bundleSales").doc(externalId).get() : null,
+  ]);
+  if (saleSnap.exists) {
+    return res.json({ ok: true, saleId, status: "exists" });
+  }
+  // Sales recorded before ids were scoped live under the bare external id.
+  if (unscopedSnap?.exists && unscopedSnap.data().source === source) {
+    return res.json({ ok: true, saleId: externalId, status: "exists" });
+  }
+
+  const fx = fxStamp(currency, await getFxRate());
+  const { amountUsd, amountPen } = convertAmount(amount, currency, { penToUsd: fx.fxRate });
+  const click = await findReferralClick(attributionId);
+  const referralCode = schema.data.referralCode || click?.referralCode;
+  let referrer = null;
+  if (referralCode && isValidReferralCode(referralCode)) {
+    referrer = await findUserByReferral(referralCode.toUpperCase());
+  }
+
+  const holdUntil = holdUntilDate();
+
+  await saleRef.set({
+    buyerEmail,
+    amount,
+    amountPen,
+    amountUsd,
+    ...fx,
+    referralCode: referralCode || null,
+    referrerId: referrer?.id || null,
+    attributionId: click?.id || null,
+    status: "paid",
+    source,
+    externalId: externalId || null,
+    apiKeyId: req.salesKey.id,
+    createdAt: FieldValue.serverTimestamp(),
+    holdUntil,
+  });
+
+  if (click && click.referrerId === referrer?.id) {
+    await db.collection("referralClicks").doc(click.id).set(
+      {
+        bundleSales: FieldValue.increment(1),
+        lastSaleId: saleId,
+        lastSaleAt: FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+  }
+
+  // Emitted only once the sale and its commissions are committed.
+  const emitSaleRecorded = () =>
+    emitEvent(
+      "sale.recorded",
+      {
+        saleId,
+        amount,
+        currency: fx.currency,
+        amountUsd,
+        amountPen,
+        referralCode: referralCode || null,
+        referrerId: referrer?.id || null,
+        source,
+      },
+      { uids: [referrer?.id] }
+    );
+
+  if (!referrer) {
+    await emitSaleRecorded();
+    return res.json({ ok: true, saleId, status: "no-referrer" });
+  }
+
+  const uplineChain = await getUplineChain(referrer);
+  const batch = db.batch();
+  const now = FieldValue.serverTimestamp();
+
+  batch.set(
+    db.collection("stats").doc(referrer.id),
+    { bundleSalesCount: FieldValue.increment(1), updatedAt: now },
+    { merge: true }
+  );
+
+  const commissions = writeCommissions(batch, {
+    catalog: await loadPlanCatalog(),
+    transactionId: saleId,
+    source: "bundle",
+    amountUsd,
+    uplineChain,
+    holdUntil,
+    fx,
+  });
+
+  batch.set(
+    db.collection("users").doc(referrer.id).collection("activity").doc(),
+    {
+      name: buyerEmail,
+      action: "compro el bundle",
+      level: "Venta",
+      time: "Reciente",
+      createdAt: now,
+    }
+  );
+
+  await batch.commit();
+  await emitSaleRecorded();
+  await queueCommissionNotifications(commissions, { source: "bundle", transactionId: saleId });
+  await emitCommissionsCreated(commissions, {
+    transactionId: saleId,
+    source: "bundle",
+    memberId: referrer.id,
+  });
+
+  return res.json({ ok: true, saleId, status: "recorded" });
+});
+
+app.post("/bundle/sales/:saleId/refunds", salesGuard("refunds:write", "refunds", 60), async (req, res) => {
+  const schema = z
+    .object({
+      refundId: z.string().min(3).refine(isDocId).optional(),
+      type: z.enum(["refund", "chargeback"]).default("refund"),
+      amount: z.number().positive().optional(),
+      amountPen: z.number().positive().optional(),
+      reason: z.string().max(500).optional(),
+    })
+    .safeParse(req.body || {});
+
+  if (!schema.success) {
+    return res.status(400).json({ error: "Invalid payload" });
+  }
+
+  const { refundId, type, amount, amountPen, reason } = schema.data;
+  if (!isDocId(req.params.saleId)) {
+    return res.status(404).json({ error: "Sale not found" });
+  }
+  // Integrations may refund by their own external id, which is stored scoped by source.
+  const { source: keySource } = req.salesKey;
+  const scopedRef = db.collection("bundleSales").doc(`${keySource}:${req.params.saleId}`);
+  const saleRef = (await scopedRef.get()).exists
+    ? scopedRef
+    : db.collection("bundleSales").doc(req.params.saleId);
+  const refundRef = refundId
+    ? saleRef.collection("refunds").doc(refundId)
+    : saleRef.collection("refunds").doc();
+
+  try {
+    const result = await db.runTransaction(async (tx) => {
+      const [saleSnap, refundSnap, commissionsSnap] = await Promise.all([
+        tx.get(saleRef),
+        tx.get(refundRef),
+        tx.get(db.collection("commissions").where("transactionId", "==", saleRef.id)),
+      ]);
+
+      // A key only sees its own source's sales (so rotated keys still can); legacy sees all.
+      if (!saleSnap.exists || (keySource !== "legacy" && saleSnap.data().source !== keySource)) {
+        throw httpError(404, "Sale not found");
+      }
+      if (refundSnap.exists) {
+        return { status: "exists", ...refundSnap.data() };
+      }
+
+      const sale = saleSnap.data();
+      const salePen = Number(sale.amountPen || 0);
+      const alreadyRefundedPen = Number(sale.refundedPen || 0);
+      const remainingPen = round2(salePen - alreadyRefundedPen);
+      if (remainingPen <= 0) {
+        throw httpError(409, "Sale already fully refunded");
+      }
+
+      const saleRate = Number(sale.fxRate || (salePen ? Number(sale.amountUsd || 0) / salePen : 0));
+      const amountInPen =
+        amount && sale.currency === "USD" && saleRate ? round2(amount / saleRate) : amount;
+      const refundPen = round2(amountPen ?? amountInPen ?? remainingPen);
+      if (refundPen > remainingPen) {
+        throw httpError(400, "Refund exceeds remaining sale amount");
+      }
+
+      const isFinal = refundPen >= remainingPen;
+      const ratio = salePen ? refundPen / salePen : 1;
+      const now = FieldValue.serverTimestamp();
+      const statsDeltas = {};
+      let reversedUsd = 0;
+
+      commissionsSnap.docs.forEach((doc) => {
+        const commission = doc.data();
+        if (commission.reversalOf || commission.status === "cancelled") return;
+
+        const originalUsd = Number(commission.originalAmountUsd ?? commission.amountUsd ?? 0);
+        const alreadyReversedUsd = Number(commission.reversedUsd || 0);
+        const outstandingUsd = round2(originalUsd - alreadyReversedUsd);
+        const reverseUsd = isFinal
+          ? outstandingUsd
+          : Math.min(round2(originalUsd * ratio), outstandingUsd);
+        if (reverseUsd <= 0) return;
+
+        reversedUsd += reverseUsd;
+        const deltas = statsDeltas[commission.beneficiaryId] || { pending: 0, available: 0 };
+
+        if (commission.status === "pending") {
+          const nextAmountUsd = round2(Number(commission.amountUsd || 0) - reverseUsd);
+          tx.update(doc.ref, {
+            originalAmountUsd: originalUsd,
+            amountUsd: nextAmountUsd,
+            reversedUsd: round2(alreadyReversedUsd + reverseUsd),
+            ...(nextAmountUsd <= 0 ? { status: "cancelled", cancelledAt: now } : {}),
+            updatedAt: now,
+          });
+          deltas.pending += reverseUsd;
+          adjustMemberEarnings(tx, {
+            beneficiaryId: commission.beneficiaryId,
+            memberId: commission.memberId,
+            amountUsd: -reverseUsd,
+          });
+        } else {
+          tx.set(db.collection("commissions").doc(), {
+            transactionId: saleRef.id,
+            memberId: commission.memberId || null,
+            beneficiaryId: commission.beneficiaryId,
+            level: commission.level,
+            percent: commission.percent,
+            amountUsd: -reverseUsd,
+            status: "clawback",
+            reversalOf: doc.id,
+            refundId: refundRef.id,
+            createdAt: now,
+            updatedAt: now,
+          });
+          tx.update(doc.ref, {
+            reversedUsd: round2(alreadyReversedUsd + reverseUsd),
+            updatedAt: now,
+          });
+          deltas.available += reverseUsd;
+          adjustMemberEarnings(tx, {
+            beneficiaryId: commission.beneficiaryId,
+            memberId: commission.memberId,
+            amountUsd: -reverseUsd,
+          });
+        }
+
+        statsDeltas[commission.beneficiaryId] = deltas;
+      });
+
+      Object.entries(statsDeltas).forEach(([beneficiaryId, deltas]) => {
+        tx.set(
+          db.collection("stats").doc(beneficiaryId),
+          {
+            totalEarningsUsd: FieldValue.increment(-round2(deltas.pending + deltas.available)),
+            ...(deltas.pending
+              ? { pendingBalanceUsd: FieldValue.increment(-round2(deltas.pending)) }
+              : {}),
+            ...(deltas.available
+              ? { availableBalanceUsd: FieldValue.increment(-round2(deltas.available)) }
+              : {}),
+            updatedAt: now,
+          },
+          { merge: true }
+        );
+      });
+
+      const refund = {
+        type,
+        amountPen: refundPen,
+        amountUsd: round2(refundPen * saleRate),
+        reversedCommissionsUsd: round2(reversedUsd),
+        reason: reason || null,
+        apiKeyId: req.salesKey.id,
+        createdAt: now,
+      };
+
+      tx.set(refundRef, refund);
+      if (isFinal && sale.referrerId) {
+        tx.set(
+          db.collection("stats").doc(sale.referrerId),
+          { bundleSalesCount: FieldValue.increment(-1), updatedAt: now },
+          { merge: true }
+        );
+      }
+      tx.update(saleRef, {
+        status: isFinal ? (type === "chargeback" ? "chargeback" : "refunded") : "partially_refunded",
+        refundedPen: round2(alreadyRefundedPen + refundPen),
+        updatedAt: now,
+      });
+
+      return { status: "recorded", ...refund };
+    });
+
+    return res.json({
+      ok: true,
+      saleId: saleRef.id,
+      refundId: refundRef.id,
+      status: result.status,
+      amountPen: result.amountPen,
+      reversedCommissionsUsd: result.reversedCommissionsUsd,
+    });
+  } catch (error) {
+    return res.status(error?.status || 500).json({ error: error?.message || "Server error" });
+  }
+});
+
+app.post("/internal/jobs/release-commissions", requireJobKey, async (_req, res) => {
+  try {
+    const summary = await releaseDueCommissions({ maxBatches: RELEASE_MAX_BATCHES });
+    return res.json({ ok: true, ...summary });
+  } catch (error) {
+    return res.status(500).json({ error: error?.message || "Job error" });
+  }
+});
+
+app.post("/internal/jobs/apply-scheduled-plan-changes", requireJobKey, async (_req, res) => {
+  try {
+    const snap = await db
+      .collection("users")
+      .where("scheduledPlanChange.effectiveAt", "<=", Timestamp.now())
+      .limit(200)
+      .get();
+
+    let applied = 0;
+    for (const doc of snap.docs) {
+      const user = await applyDueScheduledPlanChange(doc.id, doc.data());
+      if (user.plan !== doc.data().plan) applied += 1;
+    }
+    return res.json({ ok: true, due: snap.size, applied });
+  } catch (error) {
+    return res.status(500).json({ error: error?.message || "Job error" });
+  }
+});
+
+// Closures checked within `CLOSURE_RECHECK_MS` are skipped, so a run's slots go to closures that
+// haven't been tried lately instead of the same blocked ones every time.
+app.post("/internal/jobs/finalize-account-closures", requireJobKey, async (_req, res) => {
+  try {
+    const baseQuery = db
+      .collection("accountClosures")
+      .where("status", "==", "pending")
+      .where("effectiveAt", "<=", Timestamp.now())
+      .orderBy("effectiveAt", "asc");
+    const recheckBefore = Date.now() - CLOSURE_RECHECK_MS;
+    const due = [];
+    let last = null;
+    while (due.length < CLOSURE_JOB_LIMIT) {
+      const snap = await (last ? baseQuery.startAfter(last) : baseQuery).limit(200).get();
+      snap.docs
+        .filter((doc) => !(doc.data().checkedAt?.toMillis() > recheckBefore))
+        .forEach((doc) => due.push(doc));
+      if (snap.size < 200) break;
+      last = snap.docs[snap.docs.length - 1];
+    }
+
+    const results = [];
+    for (const doc of due.slice(0, CLOSURE_JOB_LIMIT)) {
+      results.push(await finalizeAccountClosure(doc));
+    }
+    const completed = results.filter((result) => result.status === "completed").length;
+    return res.json({ ok: true, completed, blocked: results.length - completed, results });
+  } catch (error) {
+    return res.status(500).json({ error: error?.message || "Job error" });
+  }
+});
+
+app.post("/internal/jobs/deliver-notifications", requireJobKey, async (_req, res) => {
+  try {
+    const summary = await deliverDueNotifications();
+    return res.json({ ok: true, ...summary });
+  } catch (error) {
+    return res.status(500).json({ error: error?.message || "Job error" });
+  }
+});
+
+app.post("/internal/jobs/deliver-webhooks", requireJobKey, async (_req, res) => {
+  try {
+    const summary = await deliverDueWebhooks();
+    return res.json({ ok: true, ...summary });
+  } catch (error) {
+    return res.status(500).json({ error: error?.message || "Job error" });
+  }
+});
 
-      await db.collection("users").doc(referredBy).collection("activity").add({
-        name: userData.fullName || userData.email,
-        action: "se unio a tu red",
-        level: "Nivel 1",
-        time: "Ahora",
-        createdAt: FieldValue.serverTimestamp(),
-      });
+app.get("/commissions", requireAuth, async (req, res) => {
+  const schema = z
+    .object({
+      uid: z.string().min(1).optional(),
+      status: z
+        .enum(["pending", "approved", "locked", "paid", "cancelled", "clawback"])
+        .optional(),
+      level: z.coerce.number().int().min(1).max(MAX_LEVELS).optional(),
+      from: z.coerce.date().optional(),
+      to: z.coerce.date().optional(),
+      limit: z.coerce.number().int().min(1).max(200).default(50),
+      cursor: z.string().refine(isDocId).optional(),
+      format: z.enum(["json", "csv"]).default("json"),
+    })
+    .safeParse(req.query || {});
+
+  if (!schema.success) {
+    return res.status(400).json({ error: "Invalid query" });
+  }
+
+  const { uid: requestedUid, status, level, from, to, limit, cursor, format } = schema.data;
+  if (requestedUid && requestedUid !== req.user.uid && !isAdminUser(req.user)) {
+    return res.status(403).json({ error: "Forbidden" });
+  }
+  const uid = requestedUid || req.user.uid;
+
+  let query = db.collection("commissions").where("beneficiaryId", "==", uid);
+  if (status) query = query.where("status", "==", status);
+  if (level) query = query.where("level", "==", level);
+  if (from) query = query.where("createdAt", ">=", Timestamp.fromDate(from));
+  if (to) query = query.where("createdAt", "<=", Timestamp.fromDate(to));
+  query = query.orderBy("createdAt", "desc");
+
+  if (format === "csv") {
+    const snap = await query.limit(COMMISSIONS_EXPORT_LIMIT).get();
+    const rows = snap.docs.map(serializeCommission);
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="comisiones-${uid}.csv"`);
+    return res.send(toCsv(rows, commissionCsvColumns));
+  }
+
+  query = query.limit(limit);
+  if (cursor) {
+    const cursorSnap = await db.collection("commissions").doc(cursor).get();
+    if (cursorSnap.exists && cursorSnap.data()?.beneficiaryId === uid) {
+      query = query.startAfter(cursorSnap);
     }
   }
 
-  const freshSnap = await userRef.get();
-  const userData = freshSnap.data();
-  await ensureStats(uid, userData?.plan || "basic");
+  const snap = await query.get();
+  const commissions = snap.docs.map(serializeCommission);
+  const nextCursor = snap.docs.length ? snap.docs[snap.docs.length - 1].id : null;
 
-  return res.json({ user: serializeUser(userData) });
+  return res.json({ commissions, nextCursor });
 });
 
-app.get("/me", requireAuth, async (req, res) => {
-  const uid = req.user.uid;
-  const userSnap = await db.collection("users").doc(uid).get();
-  if (!userSnap.exists) {
-    return res.status(404).json({ error: "User not found" });
+app.get("/payouts", requireAuth, async (req, res) => {
+  const limit = Math.min(Number.parseInt(req.query.limit, 10) || 20, 100);
+  const cursor = req.query.cursor;
+  if (cursor !== undefined && !isDocId(cursor)) {
+    return res.status(400).json({ error: "Invalid cursor" });
+  }
+
+  let query = db
+    .collection("payouts")
+    .where("uid", "==", req.user.uid)
+    .orderBy("createdAt", "desc")
+    .limit(limit);
+  if (cursor) {
+    const cursorSnap = await db.collection("payouts").doc(cursor).get();
+    if (cursorSnap.exists && cursorSnap.data()?.uid === req.user.uid) {
+      query = query.startAfter(cursorSnap);
+    }
   }
-  return res.json({ user: serializeUser(userSnap.data()) });
+
+  const snap = await query.get();
+  const payouts = snap.docs.map(serializePayout);
+  const nextCursor = snap.docs.length ? snap.docs[snap.docs.length - 1].id : null;
+
+  res.json({ payouts, nextCursor, minimumUsd: PAYOUT_MIN_USD });
 });
 
-app.get("/dashboard", requireAuth, async (req, res) => {
+app.post("/payouts", requireAuth, async (req, res) => {
+  const schema = z
+    .object({
+      method: z.enum(["paypal", "yape", "plin", "bank"]).default("paypal"),
+      destination: z.string().trim().min(3).max(120),
+    })
+    .safeParse(req.body || {});
+
+  if (!schema.success) {
+    return res.status(400).json({ error: "Invalid payload" });
+  }
+
+  const { method, destination } = schema.data;
+  if (method === "paypal" && !z.string().email().safeParse(destination).success) {
+    return res.status(400).json({ error: "Invalid PayPal email" });
+  }
+
   const uid = req.user.uid;
   await refreshPendingCommissions(uid);
-  const [userSnap, statsSnap, activitySnap] = await Promise.all([
-    db.collection("users").doc(uid).get(),
-    db.collection("stats").doc(uid).get(),
-    db.collection("users").doc(uid).collection("activity").orderBy("createdAt", "desc").limit(8).get(),
-  ]);
 
-  const user = userSnap.data();
-  const stats = statsSnap.data() || {};
+  const statsRef = db.collection("stats").doc(uid);
+  const payoutRef = db.collection("payouts").doc();
 
-  const activity = activitySnap.empty
-    ? []
-    : activitySnap.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  try {
+    const payout = await db.runTransaction(async (tx) => {
+      const [statsSnap, openSnap, commissionsSnap] = await Promise.all([
+        tx.get(statsRef),
+        tx.get(
+          db
+            .collection("payouts")
+            .where("uid", "==", uid)
+            .where("status", "in", openPayoutStatuses)
+            .limit(1)
+        ),
+        tx.get(
+          db
+            .collection("commissions")
+            .where("beneficiaryId", "==", uid)
+            .where("status", "==", "approved")
+        ),
+      ]);
+
+      if (!openSnap.empty) {
+        throw httpError(409, "A payout is already in progress");
+      }
 
-  const downline = await buildDownline(uid, 4);
-  const networkTotal = downline.members.length;
+      const amountUsd = round2(statsSnap.data()?.availableBalanceUsd ?? 0);
+      if (amountUsd < PAYOUT_MIN_USD) {
+        throw httpError(400, `Minimum payout is ${formatUsd(PAYOUT_MIN_USD)}`);
+      }
 
-  const responseStats = [
-    {
-      title: "Ganancias Totales",
-      value: formatUsd(stats.totalEarningsUsd ?? 0),
-      change: stats.totalEarningsUsd ? "+0%" : "Sin cambios",
-      variant: "emerald",
-    },
-    {
-      title: "Saldo Disponible",
-      value: formatUsd(stats.availableBalanceUsd ?? 0),
-      change:
-        (stats.availableBalanceUsd ?? 0) >= PAYOUT_MIN_USD
-          ? "Listo para pago"
-          : `Min. ${formatUsd(PAYOUT_MIN_USD)}`,
-      variant: "gold",
-    },
-    {
-      title: "Plan Actual",
-      value: plans.find((p) => p.id === (user?.plan || "basic"))?.name || "Basico",
-      change: "Activo",
-      variant: "default",
-    },
-    {
-      title: "Red Total",
-      value: `${networkTotal}`,
-      change: networkTotal ? "En crecimiento" : "Sin actividad",
-      variant: "default",
-    },
-  ];
+      const commissionIds = commissionsSnap.docs.map((doc) => doc.id);
+      const now = FieldValue.serverTimestamp();
+      const data = {
+        uid,
+        amountUsd,
+        method,
+        destination,
+        status: "requested",
+        commissionIds,
+        createdAt: now,
+        updatedAt: now,
+      };
 
-  return res.json({
-    stats: responseStats,
-    recentActivity: activity,
-  });
+      tx.set(payoutRef, data);
+      releasePayoutCommissions(tx, data, { status: "locked", payoutId: payoutRef.id });
+      tx.set(
+        statsRef,
+        {
+          availableBalanceUsd: FieldValue.increment(-amountUsd),
+          lockedBalanceUsd: FieldValue.increment(amountUsd),
+          updatedAt: now,
+        },
+        { merge: true }
+      );
+
+      return { id: payoutRef.id, ...data };
+    });
+
+    return res.status(201).json({
+      payout: {
+        id: payout.id,
+        amountUsd: payout.amountUsd,
+        method: payout.method,
+        destination: payout.destination,
+        status: payout.status,
+        commissionIds: payout.commissionIds,
+      },
+    });
+  } catch (error) {
+    return res.status(error?.status || 500).json({ error: error?.message || "Server error" });
+  }
 });
 
-app.get("/tools", requireAuth, async (req, res) => {
-  const uid = req.user.uid;
-  const userSnap = await db.collection("users").doc(uid).get();
-  const planId = userSnap.data()?.plan || "basic";
-  const rank = planRank(planId);
+app.get("/admin/users", requireAuth, requireRole(ROLES_READ), async (req, res) => {
+  const limit = Math.min(Number.parseInt(req.query.limit, 10) || 50, 200);
+  const cursor = req.query.cursor;
+
+  let query = db.collection("users").orderBy("createdAt", "desc").limit(limit);
+  if (cursor) {
+    const cursorSnap = await db.collection("users").doc(cursor).get();
+    if (cursorSnap.exists) {
+      query = query.startAfter(cursorSnap);
+    }
+  }
+
+  const snap = await query.get();
+  const users = snap.docs.map((doc) => ({ id: doc.id, ...serializeUser(doc.data()) }));
+  const refIds = Array.from(
+    new Set(users.map((user) => user.referredBy).filter(Boolean))
+  );
+  const refMap = {};
+  if (refIds.length) {
+    const refSnaps = await Promise.all(
+      refIds.map((refId) => db.collection("users").doc(refId).get())
+    );
+    refSnaps.forEach((refSnap) => {
+      if (refSnap.exists) {
+        refMap[refSnap.id] = refSnap.data();
+      }
+    });
+  }
 
-  const tools = defaultTools.map((tool) => ({
-    ...tool,
-    status: planRank(tool.minPlan) <= rank ? "active" : "inactive",
+  const usersWithRefs = users.map((user) => ({
+    ...user,
+    referredByName:
+      user.referredBy && refMap[user.referredBy]
+        ? refMap[user.referredBy].fullName || refMap[user.referredBy].email || user.referredBy
+        : null,
   }));
+  const nextCursor = snap.docs.length ? snap.docs[snap.docs.length - 1].id : null;
 
-  res.json({ tools });
+  res.json({ users: usersWithRefs, nextCursor });
 });
 
-app.get("/network", requireAuth, async (req, res) => {
-  const uid = req.user.uid;
+app.patch("/admin/users/:uid", requireAuth, requireRole(ROLES_STAFF), async (req, res) => {
+  const catalog = await loadPlanCatalog();
+  const schema = z
+    .object({
+      plan: z
+        .string()
+        .refine((plan) => !!catalog.get(plan))
+        .optional(),
+      disabled: z.boolean().optional(),
+      fullName: z.string().min(2).optional(),
+    })
+    .safeParse(req.body || {});
+
+  if (!schema.success) {
+    return res.status(400).json({ error: "Invalid payload" });
+  }
+
+  const { plan, disabled, fullName } = schema.data;
+  const uid = req.params.uid;
+
+  if (plan && !ROLES_FINANCE.includes(req.adminRole)) {
+    return res.status(403).json({ error: "Plan changes require the finance role" });
+  }
+  if ((typeof disabled === "boolean" || fullName) && !ROLES_SUPPORT.includes(req.adminRole)) {
+    return res.status(403).json({ error: "Account changes require the support role" });
+  }
+  if (!outranks(req.adminRole, await adminRoleOfUid(uid))) {
+    return res.status(403).json({ error: "Cannot modify an account with an equal or higher role" });
+  }
+
+  const targetSnap = await db.collection("users").doc(uid).get();
+
+  const updateData = {
+    ...(plan ? { plan } : {}),
+    ...(typeof disabled === "boolean" ? { disabled } : {}),
+    ...(fullName ? { fullName } : {}),
+    updatedAt: FieldValue.serverTimestamp(),
+  };
+
+  const before = pickFields(targetSnap.data() || {}, ["plan", "disabled", "fullName"]);
+  try {
+    // Disabling goes through Auth first, so the audit entry must exist before that call.
+    await runAudited(
+      req,
+      {
+        action: "user.update",
+        targetType: "user",
+        targetId: uid,
+        before,
+        after: { ...before, ...pickFields(schema.data, ["plan", "disabled", "fullName"]) },
+      },
+      async () => {
+        if (typeof disabled === "boolean") {
+          await auth.updateUser(uid, { disabled });
+        }
+
+        const batch = db.batch();
+        batch.set(db.collection("users").doc(uid), updateData, { merge: true });
+
+        if (plan) {
+          batch.set(
+            db.collection("stats").doc(uid),
+            {
+              plan,
+              updatedAt: FieldValue.serverTimestamp(),
+            },
+            { merge: true }
+          );
+        }
+        await batch.commit();
+      },
+      () => ({})
+    );
+  } catch (error) {
+    if (error?.code === "auth/user-not-found") {
+      return res.status(404).json({ error: "User not found" });
+    }
+    return res.status(error?.status || 500).json({ error: error?.message || "Server error" });
+  }
+
+  await emitPlanChanged(uid, targetSnap.data()?.plan, plan, "admin");
+
+  res.json({ ok: true });
+});
+
+app.post("/admin/users/:uid/sponsor", requireAuth, requireRole(ROLES_ADMIN), async (req, res) => {
+  const schema = z
+    .object({
+      sponsorUid: z.string().min(1).optional(),
+      sponsorCode: z.string().min(3).optional(),
+      moveSubtree: z.boolean().default(true),
+      commissions: z.enum(["keep", "reassign-pending"]).default("keep"),
+    })
+    .refine((data) => !!data.sponsorUid !== !!data.sponsorCode)
+    .safeParse(req.body || {});
+
+  if (!schema.success) {
+    return res.status(400).json({ error: "Invalid payload" });
+  }
+
+  const { sponsorUid, sponsorCode, moveSubtree, commissions } = schema.data;
+  const uid = req.params.uid;
   const userSnap = await db.collection("users").doc(uid).get();
-  const planId = userSnap.data()?.plan || "basic";
+  if (!userSnap.exists) {
+    return res.status(404).json({ error: "User not found" });
+  }
+
+  let sponsor = null;
+  if (sponsorCode) {
+    sponsor = await findUserByReferral(sponsorCode.toUpperCase());
+  } else {
+    const sponsorSnap = await db.collection("users").doc(sponsorUid).get();
+    sponsor = sponsorSnap.exists ? { id: sponsorSnap.id, ...sponsorSnap.data() } : null;
+  }
+  if (!sponsor) {
+    return res.status(404).json({ error: "Sponsor not found" });
+  }
+
+  const user = { id: userSnap.id, ...userSnap.data() };
+  if (sponsor.id === uid) {
+    return res.status(400).json({ error: "User cannot sponsor themselves" });
+  }
+  if (user.referredBy === sponsor.id) {
+    return res.status(409).json({ error: "Sponsor unchanged" });
+  }
+  if (moveSubtree && (await isDescendantOf(sponsor.id, uid))) {
+    return res.status(409).json({ error: "Sponsor is inside the user's downline" });
+  }
+
+  const result = await runAudited(
+    req,
+    {
+      action: "user.sponsor",
+      targetType: "user",
+      targetId: uid,
+      before: { referredBy: user.referredBy || null },
+      after: { referredBy: sponsor.id },
+      meta: { moveSubtree, commissions },
+    },
+    () => reassignSponsor({ user, sponsor, moveSubtree, commissions }),
+    (outcome) => ({ meta: { moveSubtree, commissions, ...outcome } })
+  );
+  return res.json({ ok: true, ...result });
+});
+
+app.delete("/admin/users/:uid", requireAuth, requireRole(ROLES_ADMIN), async (req, res) => {
+  const schema = z
+    .object({
+      mode: z.enum(["delete", "anonymize"]).default("delete"),
+      balance: z.enum(["forfeit", "settle"]).default("forfeit"),
+      reparentTo: z.enum(["sponsor", "house"]).default("sponsor"),
+      payout: payoutDestinationSchema.optional(),
+    })
+    .safeParse({ ...req.query, ...(req.body || {}) });
+
+  if (!schema.success) {
+    return res.status(400).json({ error: "Invalid payload" });
+  }
+
+  const { mode, balance, reparentTo, payout } = schema.data;
+  const uid = req.params.uid;
+
+  if (!outranks(req.adminRole, await adminRoleOfUid(uid))) {
+    return res.status(403).json({ error: "Cannot delete an account with an equal or higher role" });
+  }
+
+  const targetSnap = await db.collection("users").doc(uid).get();
+
+  if (reparentTo === "house" && !HOUSE_ACCOUNT_UID) {
+    return res.status(400).json({ error: "House account not configured" });
+  }
+  const heirId =
+    reparentTo === "house"
+      ? HOUSE_ACCOUNT_UID
+      : targetSnap.data()?.referredBy || HOUSE_ACCOUNT_UID || null;
+  if (heirId === HOUSE_ACCOUNT_UID && heirId && (await isDescendantOf(heirId, uid))) {
+    return res.status(409).json({ error: "House account is inside the user's downline" });
+  }
+
+  try {
+    const result = await runAudited(
+      req,
+      {
+        action: mode === "anonymize" ? "user.anonymize" : "user.delete",
+        targetType: "user",
+        targetId: uid,
+        before: pickFields(targetSnap.data(), auditUserFields),
+        after: null,
+      },
+      () =>
+        deleteUserAccount({
+          uid,
+          mode,
+          balancePolicy: balance,
+          heirId,
+          payout,
+        })
+    );
+
+    return res.json({ ok: true, ...result });
+  } catch (error) {
+    return res.status(error?.status || 500).json({ error: error?.message || "Server error" });
+  }
+});
+
+app.get("/admin/account-closures", requireAuth, requireRole(ROLES_READ), async (req, res) => {
+  const status = String(req.query.status || "pending");
+  const snap = await db
+    .collection("accountClosures")
+    .where("status", "==", status)
+    .orderBy("effectiveAt", "asc")
+    .limit(200)
+    .get();
 
-  const unlockedLevels = planId === "elite" ? 4 : planId === "pro" ? 2 : 1;
+  res.json({ closures: snap.docs.map(serializeClosure) });
+});
 
-  const baseLevels = [
-    { level: 1, commission: 50, unlockPlan: "Basico", unlocked: unlockedLevels >= 1 },
-    { level: 2, commission: 20, unlockPlan: "Pro", unlocked: unlockedLevels >= 2 },
-    { level: 3, commission: 10, unlockPlan: "Elite", unlocked: unlockedLevels >= 3 },
-    { level: 4, commission: 5, unlockPlan: "Elite", unlocked: unlockedLevels >= 4 },
-  ];
+app.post(
+  "/admin/account-closures/:uid/finalize",
+  requireAuth,
+  requireRole(ROLES_ADMIN),
+  async (req, res) => {
+    const closureSnap = await db.collection("accountClosures").doc(req.params.uid).get();
+    if (!closureSnap.exists) {
+      return res.status(404).json({ error: "Closure not found" });
+    }
+    if (closureSnap.data().status !== "pending") {
+      return res.status(409).json({ error: "Closure is not pending" });
+    }
+
+    const userSnap = await db.collection("users").doc(req.params.uid).get();
+    const result = await runAudited(
+      req,
+      {
+        action: "user.close-account",
+        targetType: "user",
+        targetId: req.params.uid,
+        before: pickFields(userSnap.data(), auditUserFields),
+        after: null,
+      },
+      () => finalizeAccountClosure(closureSnap, { force: true }),
+      (outcome) => ({ status: outcome.status === "completed" ? "completed" : "failed", meta: outcome })
+    );
+    if (result.status !== "completed") {
+      return res.status(409).json({ error: "Closure is blocked", ...result });
+    }
 
-  const { members, counts } = await buildDownline(uid, 4);
+    return res.json({ ok: true, ...result });
+  }
+);
 
-  const levels = baseLevels.map((lvl) => ({
-    ...lvl,
-    members: counts[lvl.level] || 0,
+app.get("/admin/roles", requireAuth, requireRole(ROLES_OWNER), async (_req, res) => {
+  const snap = await db.collection("adminRoles").orderBy("email").get();
+  const roles = snap.docs.map((doc) => ({
+    uid: doc.id,
+    email: doc.data().email || "",
+    role: doc.data().role,
+    grantedBy: doc.data().grantedBy || null,
+    updatedAt: toIso(doc.data().updatedAt),
   }));
+  const owners = adminEmails.map((email) => ({ email, role: "owner", source: "ADMIN_EMAILS" }));
 
-  const totalPotential = 85;
-  const currentPotential = planId === "elite" ? 85 : planId === "pro" ? 70 : 50;
-  const upline = await getUpline(uid);
-
-  res.json({
-    levels,
-    members,
-    totalPotential,
-    currentPotential,
-    upline,
-  });
+  res.json({ roles, owners });
 });
 
-app.get("/subscription", requireAuth, async (req, res) => {
-  const uid = req.user.uid;
-  const userSnap = await db.collection("users").doc(uid).get();
-  const currentPlan = userSnap.data()?.plan || "basic";
-
-  res.json({
-    plans,
-    currentPlan,
-  });
-});
+const setAdminRole = async (uid, role) => {
+  const authUser = await auth.getUser(uid);
+  const claims = { ...(authUser.customClaims || {}) };
+  const previousRole = claims.role || null;
+  if (role) {
+    claims.role = role;
+  } else {
+    delete claims.role;
+  }
+  await auth.setCustomUserClaims(uid, claims);
+  // Forces a sign-in refresh so the new claim lands in the next ID token.
+  await auth.revokeRefreshTokens(uid);
+  return { authUser, previousRole };
+};
 
-app.post("/subscription/upgrade", requireAuth, async (req, res) => {
-  const schema = z.object({ plan: z.enum(["basic", "pro", "elite"]) }).safeParse(req.body || {});
+app.put("/admin/roles/:uid", requireAuth, requireRole(ROLES_OWNER), async (req, res) => {
+  const schema = z.object({ role: z.enum(ADMIN_ROLES) }).safeParse(req.body || {});
   if (!schema.success) {
-    return res.status(400).json({ error: "Invalid plan" });
+    return res.status(400).json({ error: "Invalid payload" });
   }
 
-  const uid = req.user.uid;
-  const plan = schema.data.plan;
-
-  await db.collection("users").doc(uid).set(
-    {
-      plan,
-      updatedAt: FieldValue.serverTimestamp(),
-    },
-    { merge: true }
-  );
+  const uid = req.params.uid;
+  if (uid === req.user.uid) {
+    return res.status(400).json({ error: "Cannot change your own role" });
+  }
 
-  await db.collection("stats").doc(uid).set(
-    {
-      plan,
-      updatedAt: FieldValue.serverTimestamp(),
-    },
-    { merge: true }
-  );
+  // The claim changes in Auth, outside any batch, so the audit entry is written before it; the
+  // previous role is only known once the Auth user is read.
+  try {
+    await runAudited(
+      req,
+      {
+        action: "role.grant",
+        targetType: "user",
+        targetId: uid,
+        before: null,
+        after: { role: schema.data.role },
+      },
+      async () => {
+        const result = await setAdminRole(uid, schema.data.role);
+        await db
+          .collection("adminRoles")
+          .doc(uid)
+          .set({
+            email: (result.authUser.email || "").toLowerCase(),
+            role: schema.data.role,
+            grantedBy: req.user.email || req.user.uid,
+            updatedAt: FieldValue.serverTimestamp(),
+          });
+        return result;
+      },
+      (result) => ({ before: { role: result.previousRole } })
+    );
+  } catch (error) {
+    if (error?.code === "auth/user-not-found") {
+      return res.status(404).json({ error: "User not found" });
+    }
+    return res.status(500).json({ error: "Failed to update role" });
+  }
 
-  res.json({ ok: true, plan });
+  res.json({ ok: true, uid, role: schema.data.role });
 });
 
-app.post("/paypal/create-subscription", requireAuth, async (req, res) => {
+app.delete("/admin/roles/:uid", requireAuth, requireRole(ROLES_OWNER), async (req, res) => {
+  const uid = req.params.uid;
+  if (uid === req.user.uid) {
+    return res.status(400).json({ error: "Cannot change your own role" });
+  }
+
   try {
-    const { planCode } = req.body || {};
-    const planId = getPlanId(planCode);
-    if (!planCode || !planId) {
-      return res.status(400).json({ error: "Invalid plan" });
+    await runAudited(
+      req,
+      {
+        action: "role.revoke",
+        targetType: "user",
+        targetId: uid,
+        before: null,
+        after: { role: null },
+      },
+      async () => {
+        const result = await setAdminRole(uid, null);
+        await db.collection("adminRoles").doc(uid).delete();
+        return result;
+      },
+      (result) => ({ before: { role: result.previousRole } })
+    );
+  } catch (error) {
+    if (error?.code === "auth/user-not-found") {
+      return res.status(404).json({ error: "User not found" });
     }
+    return res.status(500).json({ error: "Failed to update role" });
+  }
 
-    const baseUrl = getBaseUrl(req);
-    const returnUrl = `${baseUrl}/subscription?paypal=success`;
-    const cancelUrl = `${baseUrl}/subscription?paypal=cancel`;
+  res.json({ ok: true, uid, role: null });
+});
 
-    const accessToken = await getPaypalToken();
-    const response = await fetch(`${getPaypalBaseUrl()}/v1/billing/subscriptions`, {
-      method: "POST",
-      headers: {
-        Authorization: `Bearer ${accessToken}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        plan_id: planId,
-        custom_id: `${req.user.uid}:${planCode}`,
-        application_context: {
-          brand_name: "Afiliados PRO",
-          locale: "es-PE",
-          user_action: "SUBSCRIBE_NOW",
-          return_url: returnUrl,
-          cancel_url: cancelUrl,
-        },
-      }),
-    });
+app.get("/admin/payouts", requireAuth, requireRole(ROLES_READ), async (req, res) => {
+  const limit = Math.min(Number.parseInt(req.query.limit, 10) || 50, 200);
+  const cursor = req.query.cursor;
+  const status = req.query.status ? String(req.query.status) : null;
+  if (cursor !== undefined && !isDocId(cursor)) {
+    return res.status(400).json({ error: "Invalid cursor" });
+  }
 
-    const data = await response.json();
-    if (!response.ok) {
-      return res.status(response.status).json({ error: data?.message || "PayPal error" });
+  let query = db.collection("payouts");
+  if (status) {
+    query = query.where("status", "==", status);
+  }
+  query = query.orderBy("createdAt", "desc").limit(limit);
+  if (cursor) {
+    const cursorSnap = await db.collection("payouts").doc(cursor).get();
+    if (cursorSnap.exists) {
+      query = query.startAfter(cursorSnap);
     }
+  }
 
-    const approval = data?.links?.find((link) => link.rel === "approve");
-    if (!approval?.href) {
-      return res.status(500).json({ error: "No approval link" });
-    }
+  const snap = await query.get();
+  const payouts = snap.docs.map(serializePayout);
+  const nextCursor = snap.docs.length ? snap.docs[snap.docs.length - 1].id : null;
 
-    await db.collection("users").doc(req.user.uid).set(
-      {
-        paypalSubscriptionId: data.id,
-        paypalPlanId: planId,
-        pendingPlan: planCode,
+  res.json({ payouts, nextCursor });
+});
+
+app.post("/admin/payouts/:id/approve", requireAuth, requireRole(ROLES_FINANCE), async (req, res) => {
+  const payoutRef = db.collection("payouts").doc(req.params.id);
+
+  try {
+    await db.runTransaction(async (tx) => {
+      const payoutSnap = await tx.get(payoutRef);
+      if (!payoutSnap.exists) {
+        throw httpError(404, "Payout not found");
+      }
+      if (payoutSnap.data().status !== "requested") {
+        throw httpError(409, "Payout is not awaiting approval");
+      }
+
+      tx.update(payoutRef, {
+        status: "approved",
+        approvedBy: req.user.email || req.user.uid,
+        approvedAt: FieldValue.serverTimestamp(),
         updatedAt: FieldValue.serverTimestamp(),
-      },
-      { merge: true }
-    );
+      });
+      recordAdminAudit(tx, req, {
+        action: "payout.approve",
+        targetType: "payout",
+        targetId: payoutRef.id,
+        before: pickFields(payoutSnap.data(), ["uid", "amountUsd", "status"]),
+        after: { status: "approved" },
+      });
+    });
 
-    return res.status(200).json({ approvalUrl: approval.href, subscriptionId: data.id });
+    return res.json({ ok: true, status: "approved" });
   } catch (error) {
-    return res.status(500).json({ error: error?.message || "Server error" });
+    return res.status(error?.status || 500).json({ error: error?.message || "Server error" });
   }
 });
 
-app.post("/paypal/webhook", async (req, res) => {
-  try {
-    const event = typeof req.body === "string" ? JSON.parse(req.body) : req.body;
-    const ok = await verifyPaypalWebhook(req.headers, event);
-    if (!ok) {
-      return res.status(400).json({ error: "Webhook not verified" });
-    }
+app.post("/admin/payouts/:id/reject", requireAuth, requireRole(ROLES_FINANCE), async (req, res) => {
+  const schema = z.object({ reason: z.string().trim().min(3).max(500) }).safeParse(req.body || {});
+  if (!schema.success) {
+    return res.status(400).json({ error: "Invalid payload" });
+  }
 
-    const type = event?.event_type || "";
-    const resource = event?.resource || {};
-    const subscriptionId = resource?.id;
-    const planId = resource?.plan_id;
-    const planCode = planFromId(planId);
-    const customId = resource?.custom_id || "";
-    const [customUid, customPlan] = customId.split(":");
-    const uid = customUid || customId || null;
-
-    let userRef = null;
-    if (uid) {
-      userRef = db.collection("users").doc(uid);
-    } else if (subscriptionId) {
-      const snap = await db
-        .collection("users")
-        .where("paypalSubscriptionId", "==", subscriptionId)
-        .limit(1)
-        .get();
-      if (!snap.empty) {
-        userRef = snap.docs[0].ref;
-      }
-    }
+  const payoutRef = db.collection("payouts").doc(req.params.id);
 
-    if (!userRef) {
-      return res.status(200).json({ ok: true, ignored: true });
-    }
+  try {
+    await db.runTransaction(async (tx) => {
+      const payoutSnap = await tx.get(payoutRef);
+      if (!payoutSnap.exists) {
+        throw httpError(404, "Payout not found");
+      }
+      const payout = payoutSnap.data();
+      if (payout.status !== "requested" && payout.status !== "approved") {
+        throw httpError(409, "Payout can no longer be rejected");
+      }
 
-    const updates = {
-      paypalSubscriptionId: subscriptionId || null,
-      paypalPlanId: planId || null,
-      updatedAt: FieldValue.serverTimestamp(),
-    };
+      returnPayoutBalance(tx, payoutRef, payout, "rejected", {
+        rejectReason: schema.data.reason,
+        rejectedBy: req.user.email || req.user.uid,
+        rejectedAt: FieldValue.serverTimestamp(),
+      });
+      recordAdminAudit(tx, req, {
+        action: "payout.reject",
+        targetType: "payout",
+        targetId: payoutRef.id,
+        before: pickFields(payout, ["uid", "amountUsd", "status"]),
+        after: { status: "rejected", rejectReason: schema.data.reason },
+      });
+    });
 
-    const finalPlan = planCode || customPlan || "basic";
+    return res.json({ ok: true, status: "rejected" });
+  } catch (error) {
+    return res.status(error?.status || 500).json({ error: error?.message || "Server error" });
+  }
+});
 
-    if (type === "BILLING.SUBSCRIPTION.ACTIVATED") {
-      updates.status = "ACTIVE";
-      updates.plan = finalPlan;
-      updates.pendingPlan = FieldValue.delete();
-    }
+app.post("/admin/payouts/:id/mark-paid", requireAuth, requireRole(ROLES_FINANCE), async (req, res) => {
+  const schema = z
+    .object({ reference: z.string().trim().min(3).max(200) })
+    .safeParse(req.body || {});
+  if (!schema.success) {
+    return res.status(400).json({ error: "Invalid payload" });
+  }
 
-    if (
-      type === "BILLING.SUBSCRIPTION.CANCELLED" ||
-      type === "BILLING.SUBSCRIPTION.SUSPENDED" ||
-      type === "BILLING.SUBSCRIPTION.EXPIRED" ||
-      type === "BILLING.SUBSCRIPTION.PAYMENT.FAILED"
-    ) {
-      updates.status = "SUSPENDED";
-      updates.pendingPlan = FieldValue.delete();
-    }
+  const payoutRef = db.collection("payouts").doc(req.params.id);
 
-    if (type === "BILLING.SUBSCRIPTION.UPDATED") {
-      if (resource?.status === "ACTIVE") {
-        updates.status = "ACTIVE";
-        updates.plan = finalPlan;
-        updates.pendingPlan = FieldValue.delete();
+  try {
+    await db.runTransaction(async (tx) => {
+      const payoutSnap = await tx.get(payoutRef);
+      if (!payoutSnap.exists) {
+        throw httpError(404, "Payout not found");
+      }
+      const payout = payoutSnap.data();
+      if (payout.status !== "approved") {
+        throw httpError(409, "Payout must be approved before it is paid");
       }
-    }
 
-    await userRef.set(updates, { merge: true });
-    if (updates.plan) {
-      await db.collection("stats").doc(userRef.id).set(
-        {
-          plan: updates.plan,
-          updatedAt: FieldValue.serverTimestamp(),
-        },
-        { merge: true }
-      );
-    }
+      markPayoutPaid(tx, payoutRef, payout, {
+        reference: schema.data.reference,
+        paidBy: req.user.email || req.user.uid,
+      });
+      recordAdminAudit(tx, req, {
+        action: "payout.mark-paid",
+        targetType: "payout",
+        targetId: payoutRef.id,
+        before: pickFields(payout, ["uid", "amountUsd", "status"]),
+        after: { status: "paid", paidReference: schema.data.reference },
+      });
+    });
 
-    return res.status(200).json({ ok: true });
+    return res.json({ ok: true, status: "paid" });
   } catch (error) {
-    return res.status(500).json({ error: error?.message || "Webhook error" });
+    return res.status(error?.status || 500).json({ error: error?.message || "Server error" });
   }
 });
 
-app.post("/culqi/orders", requireAuth, async (req, res) => {
-  if (!CULQI_SECRET_KEY || !CULQI_PUBLIC_KEY) {
-    return res.status(500).json({ error: "Culqi not configured" });
+// PayPal refuses a repeated `sender_batch_id` (our batch doc id), so a batch whose outcome is
+// unknown (timeout, network error, 5xx) can be resubmitted without paying anyone twice. Only a
+// clear 4xx on the first submission returns its payouts to `approved`. `audit(batch, result)` adds
+// the caller's audit entry to the batch that records the outcome.
+const submitPaypalPayoutBatch = async (batchRef, payouts, { resubmit = false, audit } = {}) => {
+  const now = FieldValue.serverTimestamp();
+  try {
+    const batchHeader = await createPaypalPayoutBatch({
+      senderBatchId: batchRef.id,
+      items: payouts.map((payout) => ({
+        senderItemId: payout.id,
+        receiver: payout.destination,
+        amountUsd: payout.amountUsd,
+      })),
+    });
+
+    const paypalBatchId = batchHeader.payout_batch_id || null;
+    const batchStatus = batchHeader.batch_status || "PENDING";
+    const batch = db.batch();
+    batch.set(
+      batchRef,
+      { paypalBatchId, status: batchStatus, error: FieldValue.delete(), updatedAt: now },
+      { merge: true }
+    );
+    payouts.forEach((payout) => {
+      batch.update(db.collection("payouts").doc(payout.id), { paypalBatchId, updatedAt: now });
+    });
+    const result = { status: "sent", paypalBatchId, batchStatus };
+    audit?.(batch, result);
+    await batch.commit();
+    return result;
+  } catch (error) {
+    const message = error?.message || "PayPal payout error";
+    const rejected =
+      !resubmit && error?.status >= 400 && error?.status < 500 && !error?.paypalBatchId;
+    const batchStatus = rejected ? "ERROR" : "UNKNOWN";
+    const batch = db.batch();
+    batch.set(batchRef, { status: batchStatus, error: message, updatedAt: now }, { merge: true });
+    if (rejected) {
+      payouts.forEach((payout) => {
+        batch.update(db.collection("payouts").doc(payout.id), {
+          status: "approved",
+          paypalBatchRef: FieldValue.delete(),
+          updatedAt: now,
+        });
+      });
+    }
+    const result = {
+      status: rejected ? "rejected" : "unknown",
+      paypalBatchId: null,
+      batchStatus,
+      error: message,
+    };
+    audit?.(batch, result);
+    await batch.commit();
+    return result;
   }
+};
 
+app.post("/admin/payouts/paypal-batch", requireAuth, requireRole(ROLES_FINANCE), async (req, res) => {
   const schema = z
-    .object({
-      plan: z.enum(["basic", "pro", "elite"]),
-      phone: z.string().min(9).max(15),
-      paymentMethod: z.enum(["yape", "plin"]).optional(),
-    })
+    .object({ payoutIds: z.array(z.string().min(1)).min(1).max(PAYPAL_PAYOUT_BATCH_SIZE).optional() })
     .safeParse(req.body || {});
-
   if (!schema.success) {
     return res.status(400).json({ error: "Invalid payload" });
   }
 
-  const { plan, phone, paymentMethod } = schema.data;
-  const amountPen = getPlanPricePen(plan);
-  if (!amountPen) {
-    return res.status(400).json({ error: "Invalid plan" });
-  }
-
-  const { firstName, lastName } = splitName(req.user?.name || req.user?.email || "");
-  const amount = toCulqiAmount(amountPen);
-  const orderNumber = buildOrderNumber();
-  const expirationDate = Math.floor(Date.now() / 1000) + CULQI_ORDER_EXP_MINUTES * 60;
+  const batchRef = db.collection("paypalPayoutBatches").doc();
+  const requestedIds = schema.data.payoutIds;
 
+  let claimed = [];
   try {
-    const order = await createCulqiOrder({
-      amount,
-      currency_code: "PEN",
-      description: `Afiliados PRO - Plan ${plan.toUpperCase()}`,
-      order_number: orderNumber,
-      client_details: {
-        first_name: firstName,
-        last_name: lastName,
-        email: req.user?.email || "cliente@afiliadospro.com",
-        phone_number: phone,
-      },
-      expiration_date: expirationDate,
-    });
+    claimed = await db.runTransaction(async (tx) => {
+      const snaps = requestedIds
+        ? await Promise.all(requestedIds.map((id) => tx.get(db.collection("payouts").doc(id))))
+        : (
+            await tx.get(
+              db
+                .collection("payouts")
+                .where("status", "==", "approved")
+                .where("method", "==", "paypal")
+                .limit(PAYPAL_PAYOUT_BATCH_SIZE)
+            )
+          ).docs;
+
+      const eligible = snaps.filter(
+        (snap) => snap.exists && snap.data().status === "approved" && snap.data().method === "paypal"
+      );
+      if (!eligible.length) {
+        throw httpError(400, "No approved PayPal payouts to send");
+      }
 
-    await db.collection("culqiOrders").doc(order.id).set({
-      uid: req.user.uid,
-      plan,
-      paymentMethod: paymentMethod || "yape",
-      amountPen,
-      amount,
-      status: order.state || order.status || "pending",
-      createdAt: FieldValue.serverTimestamp(),
-      updatedAt: FieldValue.serverTimestamp(),
-    });
+      const now = FieldValue.serverTimestamp();
+      eligible.forEach((snap) => {
+        tx.update(snap.ref, {
+          status: "processing",
+          paypalBatchRef: batchRef.id,
+          sentBy: req.user.email || req.user.uid,
+          updatedAt: now,
+        });
+      });
+      tx.set(batchRef, {
+        payoutIds: eligible.map((snap) => snap.id),
+        totalUsd: round2(eligible.reduce((sum, snap) => sum + Number(snap.data().amountUsd || 0), 0)),
+        status: "CREATING",
+        createdBy: req.user.email || req.user.uid,
+        createdAt: now,
+        updatedAt: now,
+      });
+      recordAdminAudit(tx, req, {
+        action: "payout.paypal-batch",
+        targetType: "paypalPayoutBatch",
+        targetId: batchRef.id,
+        before: null,
+        after: { status: "CREATING", payoutIds: eligible.map((snap) => snap.id) },
+      });
 
-    return res.json({
-      orderId: order.id,
-      publicKey: CULQI_PUBLIC_KEY,
-      amount,
-      currencyCode: "PEN",
+      return eligible.map((snap) => ({ id: snap.id, ...snap.data() }));
     });
   } catch (error) {
-    return res.status(500).json({ error: error?.message || "Culqi error" });
+    return res.status(error?.status || 500).json({ error: error?.message || "Server error" });
   }
+
+  const result = await submitPaypalPayoutBatch(batchRef, claimed, {
+    audit: (batch, outcome) =>
+      recordAdminAudit(batch, req, {
+        action: "payout.paypal-batch-submit",
+        targetType: "paypalPayoutBatch",
+        targetId: batchRef.id,
+        before: { status: "CREATING" },
+        after: { status: outcome.batchStatus, paypalBatchId: outcome.paypalBatchId },
+        ...(outcome.error ? { meta: { error: outcome.error } } : {}),
+      }),
+  });
+
+  if (result.status === "rejected") {
+    return res.status(502).json({ error: result.error });
+  }
+  if (result.status === "unknown") {
+    return res.status(502).json({
+      error: `${result.error}. Payouts stay in processing; run the batch sync to reconcile`,
+      batchId: batchRef.id,
+      status: result.batchStatus,
+    });
+  }
+
+  return res.json({
+    ok: true,
+    batchId: batchRef.id,
+    paypalBatchId: result.paypalBatchId,
+    payoutIds: claimed.map((payout) => payout.id),
+  });
 });
 
-app.post("/culqi/webhook", async (req, res) => {
-  try {
-    const event = typeof req.body === "string" ? JSON.parse(req.body) : req.body;
-    const eventType = event?.type || event?.event_type || "";
-    if (!eventType) {
-      return res.status(400).json({ error: "Missing event type" });
+app.post("/admin/payouts/paypal-batch/:batchId/sync", requireAuth, requireRole(ROLES_FINANCE), async (req, res) => {
+  const batchSnap = await db.collection("paypalPayoutBatches").doc(req.params.batchId).get();
+  if (!batchSnap.exists) {
+    return res.status(404).json({ error: "Batch not found" });
+  }
+  const paypalBatchId = batchSnap.data()?.paypalBatchId;
+  if (!paypalBatchId && batchSnap.data()?.status === "UNKNOWN") {
+    // The batch item webhooks may already have settled some payouts; resend only the rest.
+    const pendingSnap = await db
+      .collection("payouts")
+      .where("paypalBatchRef", "==", batchSnap.id)
+      .where("status", "==", "processing")
+      .get();
+    const payouts = pendingSnap.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    if (!payouts.length) {
+      return res.json({ ok: true, status: "UNKNOWN", items: 0 });
     }
 
-    const payload = event?.data?.object || event?.data || {};
-    const orderId = payload?.id || payload?.order_id;
-    if (!orderId) {
-      return res.status(200).json({ ok: true, ignored: true });
+    const result = await submitPaypalPayoutBatch(batchSnap.ref, payouts, {
+      resubmit: true,
+      audit: (batch, outcome) =>
+        recordAdminAudit(batch, req, {
+          action: "payout.paypal-batch-resubmit",
+          targetType: "paypalPayoutBatch",
+          targetId: batchSnap.id,
+          before: { status: "UNKNOWN" },
+          after: { status: outcome.batchStatus, paypalBatchId: outcome.paypalBatchId },
+          ...(outcome.error ? { meta: { error: outcome.error } } : {}),
+        }),
+    });
+    if (result.status !== "sent") {
+      return res.status(502).json({ error: result.error, status: result.batchStatus });
     }
+    return res.json({ ok: true, status: result.batchStatus, resubmitted: payouts.length });
+  }
+  if (!paypalBatchId) {
+    return res.status(409).json({ error: "Batch was not accepted by PayPal" });
+  }
 
-    const status = String(payload?.state || payload?.status || "").toLowerCase();
+  try {
+    const data = await getPaypalPayoutBatch(paypalBatchId);
+    const items = data?.items || [];
+    for (const item of items) {
+      const itemStatus = String(item?.transaction_status || "").toUpperCase();
+      const eventStatus = itemStatus === "SUCCESS" ? "SUCCEEDED" : itemStatus;
+      await handlePaypalPayoutEvent(`PAYMENT.PAYOUTS-ITEM.${eventStatus}`, item);
+    }
 
-    await db.collection("culqiOrders").doc(orderId).set(
+    const batch = db.batch();
+    batch.set(
+      batchSnap.ref,
       {
-        status: status || "unknown",
-        rawEventType: eventType,
+        status: data?.batch_header?.batch_status || batchSnap.data()?.status || null,
+        syncedAt: FieldValue.serverTimestamp(),
         updatedAt: FieldValue.serverTimestamp(),
-      },
-      { merge: true }
-    );
-
-    if (eventType === "order.status.changed" && status === "paid") {
-      const orderSnap = await db.collection("culqiOrders").doc(orderId).get();
-      if (orderSnap.exists) {
-        const orderData = orderSnap.data();
-        if (orderData?.uid && orderData?.plan) {
-          await updateUserPlan({
-            uid: orderData.uid,
-            plan: orderData.plan,
-            status: "ACTIVE",
-            source: "culqi",
-            payload: {
-              culqiOrderId: orderId,
-              method: orderData.paymentMethod || "yape",
-            },
-          });
-        }
-      }
-    }
+      },
+      { merge: true }
+    );
+    recordAdminAudit(batch, req, {
+      action: "payout.paypal-batch-sync",
+      targetType: "paypalPayoutBatch",
+      targetId: batchSnap.id,
+      before: { status: batchSnap.data()?.status || null },
+      after: { status: data?.batch_header?.batch_status || null, items: items.length },
+    });
+    await batch.commit();
 
-    return res.status(200).json({ ok: true });
+    return res.json({ ok: true, status: data?.batch_header?.batch_status || null, items: items.length });
   } catch (error) {
-    return res.status(500).json({ error: error?.message || "Webhook error" });
+    return res.status(502).json({ error: error?.message || "PayPal payout error" });
   }
 });
 
-app.post("/bundle/sales", async (req, res) => {
-  if (!SALES_API_KEY) {
-    return res.status(500).json({ error: "Sales key not configured" });
+const toolSchema = z.object({
+  name: z.string().trim().min(2).max(60),
+  description: z.string().max(500).default(""),
+  color: z.string().max(30).default("default"),
+  icon: z.string().max(60).nullable().default(null),
+  url: z.string().url().or(z.literal("")).default(""),
+  minPlan: z.string().min(1).default("basic"),
+  order: z.number().int().min(0).default(0),
+  active: z.boolean().default(true),
+});
+
+app.get("/admin/fx-rates", requireAuth, requireRole(ROLES_READ), async (req, res) => {
+  const limit = Math.min(Number.parseInt(req.query.limit, 10) || 60, 366);
+  const snap = await db.collection("fxRates").orderBy("effectiveDate", "desc").limit(limit).get();
+  const rates = snap.docs.map((doc) => ({
+    effectiveDate: doc.id,
+    penToUsd: doc.data().penToUsd,
+    setBy: doc.data().setBy || null,
+    updatedAt: toIso(doc.data().updatedAt),
+  }));
+
+  res.json({ rates, current: await getFxRate() });
+});
+
+app.put("/admin/fx-rates/:date", requireAuth, requireRole(ROLES_FINANCE), async (req, res) => {
+  const date = String(req.params.date || "");
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date))) {
+    return res.status(400).json({ error: "Invalid date" });
   }
 
-  const headerKey = req.headers["x-sales-key"];
-  if (headerKey !== SALES_API_KEY) {
-    return res.status(401).json({ error: "Unauthorized" });
+  const schema = z.object({ penToUsd: z.number().positive().max(10) }).safeParse(req.body || {});
+  if (!schema.success) {
+    return res.status(400).json({ error: "Invalid payload" });
   }
 
-  const schema = z
-    .object({
-      externalId: z.string().min(3).optional(),
-      buyerEmail: z.string().email(),
-      amountPen: z.number().positive(),
-      referralCode: z.string().min(3).optional(),
-      source: z.string().optional(),
-    })
-    .safeParse(req.body || {});
+  const rateRef = db.collection("fxRates").doc(date);
+  const previousSnap = await rateRef.get();
+  const batch = db.batch();
+  batch.set(rateRef, {
+    effectiveDate: date,
+    penToUsd: schema.data.penToUsd,
+    setBy: req.user.email || req.user.uid,
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+  recordAdminAudit(batch, req, {
+    action: "fx-rate.set",
+    targetType: "fxRate",
+    targetId: date,
+    before: pickFields(previousSnap.data(), ["penToUsd", "setBy"]),
+    after: { penToUsd: schema.data.penToUsd },
+  });
+  await batch.commit();
+
+  res.json({ ok: true, effectiveDate: date, penToUsd: schema.data.penToUsd, today: toRateDate() });
+});
+
+app.get("/admin/tools", requireAuth, requireRole(ROLES_READ), async (_req, res) => {
+  invalidateToolCatalog();
+  res.json({ tools: await loadTools() });
+});
+
+app.put("/admin/tools/:id", requireAuth, requireRole(ROLES_ADMIN), async (req, res) => {
+  const toolId = String(req.params.id || "").toLowerCase();
+  if (!/^[a-z0-9-]{2,30}$/.test(toolId)) {
+    return res.status(400).json({ error: "Invalid tool id" });
+  }
 
+  const schema = toolSchema.safeParse(req.body || {});
   if (!schema.success) {
     return res.status(400).json({ error: "Invalid payload" });
   }
 
-  const { externalId, buyerEmail, amountPen, referralCode, source } = schema.data;
-  const saleId = externalId || db.collection("bundleSales").doc().id;
-  const saleRef = db.collection("bundleSales").doc(saleId);
-  const saleSnap = await saleRef.get();
-  if (saleSnap.exists) {
-    return res.json({ ok: true, saleId, status: "exists" });
+  const catalog = await loadPlanCatalog();
+  if (!catalog.get(schema.data.minPlan)) {
+    return res.status(400).json({ error: "Invalid plan" });
   }
 
-  const amountUsd = penToUsd(amountPen);
-  let referrer = null;
-  if (referralCode && isValidReferralCode(referralCode)) {
-    referrer = await findUserByReferral(referralCode.toUpperCase());
-  }
+  const toolsRef = db.collection("tools");
+  const [existingSnap, previousSnap] = await Promise.all([
+    toolsRef.limit(1).get(),
+    toolsRef.doc(toolId).get(),
+  ]);
+  const batch = db.batch();
+  const now = FieldValue.serverTimestamp();
 
-  const holdUntil = holdUntilDate();
+  if (existingSnap.empty) {
+    defaultTools().forEach(({ id, ...tool }) => {
+      batch.set(toolsRef.doc(id), { ...tool, createdAt: now, updatedAt: now });
+    });
+  }
 
-  await saleRef.set({
-    buyerEmail,
-    amountPen,
-    amountUsd,
-    referralCode: referralCode || null,
-    referrerId: referrer?.id || null,
-    status: "paid",
-    source: source || "manual",
-    createdAt: FieldValue.serverTimestamp(),
-    holdUntil,
+  batch.set(toolsRef.doc(toolId), { ...schema.data, updatedAt: now }, { merge: true });
+  recordAdminAudit(batch, req, {
+    action: "tool.upsert",
+    targetType: "tool",
+    targetId: toolId,
+    before: pickFields(previousSnap.data(), Object.keys(toolSchema.shape)),
+    after: schema.data,
   });
+  await batch.commit();
+  invalidateToolCatalog();
 
-  if (!referrer) {
-    return res.json({ ok: true, saleId, status: "no-referrer" });
-  }
+  const tools = await loadTools();
+  res.json({ tool: tools.find((tool) => tool.id === toolId) || null });
+});
 
-  const uplineChain = [];
-  let currentRef = referrer;
-  for (let level = 1; level <= 4 && currentRef; level += 1) {
-    uplineChain.push({ level, ...currentRef });
-    if (!currentRef.referredBy) break;
-    const nextSnap = await db.collection("users").doc(currentRef.referredBy).get();
-    if (!nextSnap.exists) break;
-    currentRef = { id: nextSnap.id, ...nextSnap.data() };
+app.delete("/admin/tools/:id", requireAuth, requireRole(ROLES_ADMIN), async (req, res) => {
+  const toolRef = db.collection("tools").doc(req.params.id);
+  const toolSnap = await toolRef.get();
+  if (!toolSnap.exists) {
+    return res.status(404).json({ error: "Tool not found" });
   }
 
   const batch = db.batch();
-  const now = FieldValue.serverTimestamp();
+  batch.set(toolRef, { active: false, updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+  recordAdminAudit(batch, req, {
+    action: "tool.deactivate",
+    targetType: "tool",
+    targetId: toolRef.id,
+    before: { active: toolSnap.data()?.active !== false },
+    after: { active: false },
+  });
+  await batch.commit();
+  invalidateToolCatalog();
 
-  uplineChain.forEach((upline) => {
-    const allowedLevels = planLevelCap(upline.plan || "basic");
-    if (upline.level > allowedLevels) return;
+  res.json({ ok: true });
+});
 
-    const percent = commissionByLevel[upline.level] || 0;
-    if (!percent) return;
+const planSchema = z.object({
+  name: z.string().trim().min(2).max(60),
+  description: z.string().max(500).default(""),
+  pricePen: z.number().nonnegative(),
+  priceUsd: z.number().nonnegative().nullable().default(null),
+  features: z.array(z.string().min(1).max(200)).max(20).default([]),
+  unlockedLevels: z.number().int().min(1).max(MAX_LEVELS),
+  levelPercents: z.array(z.number().min(0).max(100)).min(1).max(MAX_LEVELS),
+  paypalPlanId: z.string().max(100).default(""),
+  order: z.number().int().min(0).default(0),
+  active: z.boolean().default(true),
+});
 
-    const commissionAmount = round2((amountUsd * percent) / 100);
-    const commissionRef = db.collection("commissions").doc();
+app.get("/admin/plans", requireAuth, requireRole(ROLES_READ), async (_req, res) => {
+  invalidatePlanCatalog();
+  const catalog = await loadPlanCatalog();
+  res.json({ plans: catalog.allPlans });
+});
 
-    batch.set(commissionRef, {
-      transactionId: saleId,
-      beneficiaryId: upline.id,
-      level: upline.level,
-      percent,
-      amountUsd: commissionAmount,
-      status: "pending",
-      holdUntil,
-      createdAt: now,
-      updatedAt: now,
+app.put("/admin/plans/:id", requireAuth, requireRole(ROLES_ADMIN), async (req, res) => {
+  const planId = String(req.params.id || "").toLowerCase();
+  if (!/^[a-z0-9-]{2,30}$/.test(planId)) {
+    return res.status(400).json({ error: "Invalid plan id" });
+  }
+
+  const schema = planSchema.safeParse(req.body || {});
+  if (!schema.success) {
+    return res.status(400).json({ error: "Invalid payload" });
+  }
+
+  const plansRef = db.collection("plans");
+  const [existingSnap, previousSnap] = await Promise.all([
+    plansRef.limit(1).get(),
+    plansRef.doc(planId).get(),
+  ]);
+  const batch = db.batch();
+  const now = FieldValue.serverTimestamp();
+
+  if (existingSnap.empty) {
+    defaultPlans().forEach(({ id, ...plan }) => {
+      batch.set(plansRef.doc(id), { ...plan, createdAt: now, updatedAt: now });
     });
+  }
 
-    const statsRef = db.collection("stats").doc(upline.id);
-    batch.set(
-      statsRef,
-      {
-        totalEarningsUsd: FieldValue.increment(commissionAmount),
-        pendingBalanceUsd: FieldValue.increment(commissionAmount),
-        updatedAt: now,
-      },
-      { merge: true }
-    );
+  batch.set(plansRef.doc(planId), { ...schema.data, updatedAt: now }, { merge: true });
+  recordAdminAudit(batch, req, {
+    action: "plan.upsert",
+    targetType: "plan",
+    targetId: planId,
+    before: pickFields(previousSnap.data(), Object.keys(planSchema.shape)),
+    after: schema.data,
   });
+  await batch.commit();
+  invalidatePlanCatalog();
 
-  batch.set(
-    db.collection("users").doc(referrer.id).collection("activity").doc(),
-    {
-      name: buyerEmail,
-      action: "compro el bundle",
-      level: "Venta",
-      time: "Reciente",
-      createdAt: now,
-    }
-  );
+  const catalog = await loadPlanCatalog();
+  res.json({ plan: catalog.get(planId) });
+});
+
+app.delete("/admin/plans/:id", requireAuth, requireRole(ROLES_ADMIN), async (req, res) => {
+  const planRef = db.collection("plans").doc(req.params.id);
+  const planSnap = await planRef.get();
+  if (!planSnap.exists) {
+    return res.status(404).json({ error: "Plan not found" });
+  }
 
+  const batch = db.batch();
+  batch.set(planRef, { active: false, updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+  recordAdminAudit(batch, req, {
+    action: "plan.deactivate",
+    targetType: "plan",
+    targetId: planRef.id,
+    before: { active: planSnap.data()?.active !== false },
+    after: { active: false },
+  });
   await batch.commit();
+  invalidatePlanCatalog();
 
-  return res.json({ ok: true, saleId, status: "recorded" });
+  res.json({ ok: true });
 });
 
-app.get("/admin/users", requireAuth, requireAdmin, async (req, res) => {
+app.get("/admin/webhook-events", requireAuth, requireRole(ROLES_READ), async (req, res) => {
   const limit = Math.min(Number.parseInt(req.query.limit, 10) || 50, 200);
   const cursor = req.query.cursor;
+  const status = String(req.query.status || "failed");
+  const provider = req.query.provider ? String(req.query.provider) : null;
+  if (cursor !== undefined && !isDocId(cursor)) {
+    return res.status(400).json({ error: "Invalid cursor" });
+  }
 
-  let query = db.collection("users").orderBy("createdAt", "desc").limit(limit);
+  let query = db.collection("webhookEvents").where("status", "==", status);
+  if (provider) {
+    query = query.where("provider", "==", provider);
+  }
+  query = query.orderBy("updatedAt", "desc").limit(limit);
   if (cursor) {
-    const cursorSnap = await db.collection("users").doc(cursor).get();
+    const cursorSnap = await db.collection("webhookEvents").doc(cursor).get();
     if (cursorSnap.exists) {
       query = query.startAfter(cursorSnap);
     }
   }
 
   const snap = await query.get();
-  const users = snap.docs.map((doc) => ({ id: doc.id, ...serializeUser(doc.data()) }));
-  const refIds = Array.from(
-    new Set(users.map((user) => user.referredBy).filter(Boolean))
-  );
-  const refMap = {};
-  if (refIds.length) {
-    const refSnaps = await Promise.all(
-      refIds.map((refId) => db.collection("users").doc(refId).get())
-    );
-    refSnaps.forEach((refSnap) => {
-      if (refSnap.exists) {
-        refMap[refSnap.id] = refSnap.data();
-      }
-    });
+  const events = snap.docs.map(serializeWebhookEvent);
+  const nextCursor = snap.docs.length ? snap.docs[snap.docs.length - 1].id : null;
+
+  res.json({ events, nextCursor });
+});
+
+app.post("/admin/webhook-events/:id/replay", requireAuth, requireRole(ROLES_FINANCE), async (req, res) => {
+  if (!isDocId(req.params.id)) {
+    return res.status(404).json({ error: "Event not found" });
+  }
+  const eventSnap = await db.collection("webhookEvents").doc(req.params.id).get();
+  if (!eventSnap.exists) {
+    return res.status(404).json({ error: "Event not found" });
   }
 
-  const usersWithRefs = users.map((user) => ({
-    ...user,
-    referredByName:
-      user.referredBy && refMap[user.referredBy]
-        ? refMap[user.referredBy].fullName || refMap[user.referredBy].email || user.referredBy
-        : null,
-  }));
-  const nextCursor = snap.docs.length ? snap.docs[snap.docs.length - 1].id : null;
+  const { provider, payload } = eventSnap.data();
+  if (!webhookHandlers[provider] || !payload) {
+    return res.status(400).json({ error: "Event cannot be replayed" });
+  }
 
-  res.json({ users: usersWithRefs, nextCursor });
+  try {
+    const result = await runAudited(
+      req,
+      {
+        action: "webhook-event.replay",
+        targetType: "webhookEvent",
+        targetId: eventSnap.id,
+        before: { status: eventSnap.data().status || null },
+      },
+      () => runWebhookEvent(provider, JSON.parse(payload), { replay: true }),
+      (outcome) => ({ after: { status: "processed", result: outcome ?? null } })
+    );
+    return res.json({ ok: true, ...result });
+  } catch (error) {
+    return res.status(error?.status || 500).json({ error: error?.message || "Webhook error" });
+  }
 });
 
-app.patch("/admin/users/:uid", requireAuth, requireAdmin, async (req, res) => {
-  const schema = z
-    .object({
-      plan: z.enum(["basic", "pro", "elite"]).optional(),
-      disabled: z.boolean().optional(),
-      fullName: z.string().min(2).optional(),
-    })
-    .safeParse(req.body || {});
+app.get("/admin/webhooks", requireAuth, requireRole(ROLES_READ), async (req, res) => {
+  let query = db.collection("webhookEndpoints");
+  if (req.query.ownerUid) {
+    query = query.where("ownerUid", "==", String(req.query.ownerUid));
+  } else if (req.query.scope === "global") {
+    query = query.where("ownerUid", "==", null);
+  }
+
+  const snap = await query.limit(500).get();
+  res.json({
+    endpoints: snap.docs.map(serializeWebhookEndpoint),
+    eventTypes: OUTBOUND_EVENT_TYPES,
+  });
+});
 
+app.post("/admin/webhooks", requireAuth, requireRole(ROLES_ADMIN), async (req, res) => {
+  const schema = webhookEndpointSchema.safeParse(req.body || {});
   if (!schema.success) {
     return res.status(400).json({ error: "Invalid payload" });
   }
+  if (!(await isPublicWebhookUrl(schema.data.url))) {
+    return res.status(400).json({ error: "Webhook URL must resolve to a public address" });
+  }
 
-  const { plan, disabled, fullName } = schema.data;
-  const uid = req.params.uid;
+  const result = await createWebhookEndpoint(null, schema.data, req.user.email || req.user.uid, {
+    audit: (batch, ref) =>
+      recordAdminAudit(batch, req, {
+        action: "webhook-endpoint.create",
+        targetType: "webhookEndpoint",
+        targetId: ref.id,
+        before: null,
+        after: { url: schema.data.url, events: schema.data.events },
+      }),
+  });
+  return res.status(201).json(result);
+});
 
-  const targetSnap = await db.collection("users").doc(uid).get();
-  const targetEmail = targetSnap.exists ? String(targetSnap.data()?.email || "").toLowerCase() : "";
-  if (targetEmail && adminEmails.includes(targetEmail)) {
-    return res.status(403).json({ error: "Cannot modify owner account" });
+app.delete("/admin/webhooks/:id", requireAuth, requireRole(ROLES_ADMIN), async (req, res) => {
+  if (!isDocId(req.params.id)) {
+    return res.status(404).json({ error: "Endpoint not found" });
   }
-
-  if (typeof disabled === "boolean") {
-    await auth.updateUser(uid, { disabled });
+  const endpointRef = db.collection("webhookEndpoints").doc(req.params.id);
+  const endpointSnap = await endpointRef.get();
+  if (!endpointSnap.exists) {
+    return res.status(404).json({ error: "Endpoint not found" });
   }
 
-  const updateData = {
-    ...(plan ? { plan } : {}),
-    ...(typeof disabled === "boolean" ? { disabled } : {}),
-    ...(fullName ? { fullName } : {}),
-    updatedAt: FieldValue.serverTimestamp(),
-  };
+  const batch = db.batch();
+  batch.set(endpointRef, { active: false, updatedAt: FieldValue.serverTimestamp() }, { merge: true });
+  recordAdminAudit(batch, req, {
+    action: "webhook-endpoint.deactivate",
+    targetType: "webhookEndpoint",
+    targetId: endpointRef.id,
+    before: { active: endpointSnap.data().active !== false, url: endpointSnap.data().url },
+    after: { active: false },
+  });
+  await batch.commit();
+  return res.json({ ok: true });
+});
+
+app.get("/admin/webhook-deliveries", requireAuth, requireRole(ROLES_READ), async (req, res) => {
+  let query = db.collection("webhookDeliveries");
+  if (req.query.status) query = query.where("status", "==", String(req.query.status));
+  if (req.query.endpointId) query = query.where("endpointId", "==", String(req.query.endpointId));
+  if (req.query.type) query = query.where("type", "==", String(req.query.type));
 
-  if (Object.keys(updateData).length) {
-    await db.collection("users").doc(uid).set(updateData, { merge: true });
+  const page = await listWebhookDeliveries(query, req);
+  if (!page) {
+    return res.status(400).json({ error: "Invalid cursor" });
   }
+  return res.json(page);
+});
 
-  if (plan) {
-    await db.collection("stats").doc(uid).set(
+app.post(
+  "/admin/webhook-deliveries/:id/redeliver",
+  requireAuth,
+  requireRole(ROLES_ADMIN),
+  async (req, res) => {
+    if (!isDocId(req.params.id)) {
+      return res.status(404).json({ error: "Delivery not found" });
+    }
+    const deliverySnap = await db.collection("webhookDeliveries").doc(req.params.id).get();
+    if (!deliverySnap.exists) {
+      return res.status(404).json({ error: "Delivery not found" });
+    }
+
+    const status = await runAudited(
+      req,
       {
-        plan,
-        updatedAt: FieldValue.serverTimestamp(),
+        action: "webhook-delivery.redeliver",
+        targetType: "webhookDelivery",
+        targetId: deliverySnap.id,
+        before: { status: deliverySnap.data().status },
       },
-      { merge: true }
+      () => redeliver(deliverySnap.ref),
+      (outcome) => ({ after: { status: outcome } })
     );
+    return res.json({ ok: true, status });
   }
+);
 
-  res.json({ ok: true });
+app.get("/admin/sales-keys", requireAuth, requireRole(ROLES_READ), async (_req, res) => {
+  const snap = await db.collection("salesApiKeys").orderBy("createdAt", "desc").limit(500).get();
+  res.json({ keys: snap.docs.map(serializeSalesKey), scopes: SALES_KEY_SCOPES });
 });
 
-app.delete("/admin/users/:uid", requireAuth, requireAdmin, async (req, res) => {
-  const uid = req.params.uid;
+app.post("/admin/sales-keys", requireAuth, requireRole(ROLES_ADMIN), async (req, res) => {
+  const schema = salesKeySchema.safeParse(req.body || {});
+  if (!schema.success) {
+    return res.status(400).json({ error: "Invalid payload" });
+  }
 
-  const targetSnap = await db.collection("users").doc(uid).get();
-  const targetEmail = targetSnap.exists ? String(targetSnap.data()?.email || "").toLowerCase() : "";
-  if (targetEmail && adminEmails.includes(targetEmail)) {
-    return res.status(403).json({ error: "Cannot delete owner account" });
+  const { ref, key } = await createSalesKey(schema.data, req.user.email || req.user.uid, {
+    audit: (batch, keyRef) =>
+      recordAdminAudit(batch, req, {
+        action: "sales-key.create",
+        targetType: "salesApiKey",
+        targetId: keyRef.id,
+        before: null,
+        after: schema.data,
+      }),
+  });
+  return res.status(201).json({ key: serializeSalesKey(await ref.get()), secret: key });
+});
+
+app.patch("/admin/sales-keys/:id", requireAuth, requireRole(ROLES_ADMIN), async (req, res) => {
+  const schema = salesKeySchema
+    .pick({ label: true, scopes: true })
+    .partial()
+    .refine((data) => Object.keys(data).length > 0)
+    .safeParse(req.body || {});
+  if (!schema.success) {
+    return res.status(400).json({ error: "Invalid payload" });
   }
 
-  try {
-    await auth.deleteUser(uid);
-  } catch (error) {
-    if (error?.code !== "auth/user-not-found") {
-      return res.status(500).json({ error: "Failed to delete auth user" });
-    }
+  const keyRef = db.collection("salesApiKeys").doc(req.params.id);
+  const keySnap = await keyRef.get();
+  if (!keySnap.exists) {
+    return res.status(404).json({ error: "Key not found" });
+  }
+  if (keySnap.data().active === false) {
+    return res.status(409).json({ error: "Key revoked" });
+  }
+
+  const batch = db.batch();
+  batch.update(keyRef, { ...schema.data, updatedAt: FieldValue.serverTimestamp() });
+  recordAdminAudit(batch, req, {
+    action: "sales-key.update",
+    targetType: "salesApiKey",
+    targetId: keyRef.id,
+    before: pickFields(keySnap.data(), Object.keys(schema.data)),
+    after: schema.data,
+  });
+  await batch.commit();
+  return res.json({ key: serializeSalesKey(await keyRef.get()) });
+});
+
+app.delete("/admin/sales-keys/:id", requireAuth, requireRole(ROLES_ADMIN), async (req, res) => {
+  const keyRef = db.collection("salesApiKeys").doc(req.params.id);
+  const keySnap = await keyRef.get();
+  if (!keySnap.exists) {
+    return res.status(404).json({ error: "Key not found" });
   }
 
-  await db.collection("users").doc(uid).delete();
-  await db.collection("stats").doc(uid).delete();
+  const now = FieldValue.serverTimestamp();
+  const batch = db.batch();
+  batch.update(keyRef, {
+    active: false,
+    revokedAt: now,
+    revokedBy: req.user.email || req.user.uid,
+    updatedAt: now,
+  });
+  recordAdminAudit(batch, req, {
+    action: "sales-key.revoke",
+    targetType: "salesApiKey",
+    targetId: keyRef.id,
+    before: { active: keySnap.data().active !== false, label: keySnap.data().label },
+    after: { active: false },
+  });
+  await batch.commit();
+  return res.json({ ok: true });
+});
+
+app.get("/admin/audit", requireAuth, requireRole(ROLES_ADMIN), async (req, res) => {
+  const schema = z
+    .object({
+      actor: z.string().trim().min(1).optional(),
+      target: z.string().trim().min(1).optional(),
+      targetType: z.string().trim().min(1).optional(),
+      action: z.string().trim().min(1).optional(),
+      from: z.coerce.date().optional(),
+      to: z.coerce.date().optional(),
+      limit: z.coerce.number().int().min(1).max(200).default(50),
+      cursor: z.string().refine(isDocId).optional(),
+    })
+    .safeParse(req.query || {});
 
-  const networkSnap = await db.collection("users").doc(uid).collection("network").get();
-  if (!networkSnap.empty) {
-    const batch = db.batch();
-    networkSnap.docs.forEach((doc) => batch.delete(doc.ref));
-    await batch.commit();
+  if (!schema.success) {
+    return res.status(400).json({ error: "Invalid query" });
   }
 
-  res.json({ ok: true });
+  const { actor, target, targetType, action, from, to, limit, cursor } = schema.data;
+  let query = db.collection("adminAudit");
+  if (actor) {
+    query = actor.includes("@")
+      ? query.where("actorEmail", "==", actor.toLowerCase())
+      : query.where("actorUid", "==", actor);
+  }
+  if (target) query = query.where("targetId", "==", target);
+  if (targetType) query = query.where("targetType", "==", targetType);
+  if (action) query = query.where("action", "==", action);
+  if (from) query = query.where("createdAt", ">=", Timestamp.fromDate(from));
+  if (to) query = query.where("createdAt", "<=", Timestamp.fromDate(to));
+  query = query.orderBy("createdAt", "desc").limit(limit);
+
+  if (cursor) {
+    const cursorSnap = await db.collection("adminAudit").doc(cursor).get();
+    if (cursorSnap.exists) {
+      query = query.startAfter(cursorSnap);
+    }
+  }
+
+  const snap = await query.get();
+  const entries = snap.docs.map((doc) => {
+    const data = doc.data();
+    return {
+      id: doc.id,
+      action: data.action,
+      targetType: data.targetType,
+      targetId: data.targetId || null,
+      actorUid: data.actorUid,
+      actorEmail: data.actorEmail || null,
+      actorRole: data.actorRole || null,
+      before: data.before ?? null,
+      after: data.after ?? null,
+      meta: data.meta || null,
+      status: data.status || "completed",
+      error: data.error || null,
+      ip: data.ip || null,
+      userAgent: data.userAgent || null,
+      requestId: data.requestId || null,
+      createdAt: toIso(data.createdAt),
+    };
+  });
+  const nextCursor = snap.docs.length ? snap.docs[snap.docs.length - 1].id : null;
+
+  return res.json({ entries, nextCursor });
 });
 
 app.listen(PORT, () => {
@@ -0,0 +1,97 @@
+import { FieldValue, Timestamp } from "firebase-admin/firestore";
+import { db } from "../firebase.js";
+import { round2 } from "../fx.js";
+import { queueNotification } from "../notifications.js";
+import { emitEvent } from "../outboundWebhooks.js";
+
+const DEFAULT_BATCH_SIZE = 200;
+
+export const releaseCommissionsPage = async (query) => {
+  const { released, totals, releasedIds } = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(query);
+    if (snap.empty) {
+      return { released: 0, totals: {}, releasedIds: {} };
+    }
+
+    const totals = {};
+    const releasedIds = {};
+    const now = FieldValue.serverTimestamp();
+    snap.docs.forEach((doc) => {
+      const data = doc.data();
+      if (data.status !== "pending") return;
+      totals[data.beneficiaryId] = (totals[data.beneficiaryId] || 0) + Number(data.amountUsd || 0);
+      releasedIds[data.beneficiaryId] = [...(releasedIds[data.beneficiaryId] || []), doc.id];
+      tx.update(doc.ref, {
+        status: "approved",
+        releasedAt: now,
+        updatedAt: now,
+      });
+    });
+
+    Object.entries(totals).forEach(([beneficiaryId, releasedTotal]) => {
+      tx.set(
+        db.collection("stats").doc(beneficiaryId),
+        {
+          pendingBalanceUsd: FieldValue.increment(-releasedTotal),
+          availableBalanceUsd: FieldValue.increment(releasedTotal),
+          updatedAt: now,
+        },
+        { merge: true }
+      );
+    });
+
+    return { released: snap.size, totals, releasedIds };
+  });
+
+  // Notify only after the transaction commits; its callback can run more than once.
+  for (const [beneficiaryId, amountUsd] of Object.entries(totals)) {
+    await queueNotification(
+      beneficiaryId,
+      "commissionReleased",
+      { amountUsd: round2(amountUsd) },
+      { key: releasedIds[beneficiaryId][0] }
+    );
+    await emitEvent(
+      "commission.released",
+      { beneficiaryId, amountUsd: round2(amountUsd), commissionIds: releasedIds[beneficiaryId] },
+      { uids: [beneficiaryId] }
+    );
+  }
+
+  return { released, beneficiaryIds: Object.keys(totals) };
+};
+
+export const releaseDueCommissions = async ({
+  batchSize = DEFAULT_BATCH_SIZE,
+  maxBatches = Infinity,
+} = {}) => {
+  const cutoff = Timestamp.now();
+  const query = db
+    .collection("commissions")
+    .where("status", "==", "pending")
+    .where("holdUntil", "<=", cutoff)
+    .orderBy("holdUntil")
+    .limit(Math.min(batchSize, 400));
+
+  const beneficiaries = new Set();
+  let released = 0;
+  let batches = 0;
+  let hasMore = true;
+
+  while (batches < maxBatches) {
+    const page = await releaseCommissionsPage(query);
+    if (!page.released) {
+      hasMore = false;
+      break;
+    }
+    released += page.released;
+    page.beneficiaryIds.forEach((id) => beneficiaries.add(id));
+    batches += 1;
+  }
+
+  if (hasMore) {
+    hasMore = !(await query.limit(1).get()).empty;
+  }
+
+  return { released, beneficiaries: beneficiaries.size, batches, hasMore };
+};
@@ -0,0 +1,89 @@
+import { createHash, createPrivateKey, createPublicKey, randomUUID, sign, verify } from "node:crypto";
+
+const TOOL_TOKEN_TTL_SECONDS = Number.parseInt(process.env.TOOL_TOKEN_TTL_SECONDS || "120", 10);
+const TOOL_TOKEN_ISSUER = process.env.TOOL_TOKEN_ISSUER || "afiliados-pro-hub";
+
+let signingKey = null;
+
+const getSigningKey = () => {
+  if (signingKey) return signingKey;
+
+  const rawKey = process.env.TOOL_TOKEN_PRIVATE_KEY;
+  if (!rawKey) {
+    throw new Error("Missing TOOL_TOKEN_PRIVATE_KEY");
+  }
+
+  const privateKey = createPrivateKey(rawKey.replace(/\\n/g, "\n"));
+  const publicKey = createPublicKey(privateKey);
+  const jwk = publicKey.export({ format: "jwk" });
+  const kid = createHash("sha256").update(`${jwk.e}.${jwk.n}`).digest("base64url").slice(0, 16);
+  signingKey = { privateKey, publicKey, jwk: { ...jwk, kid } };
+  return signingKey;
+};
+
+const encodeSegment = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+
+export const getLaunchJwks = () => {
+  const { jwk } = getSigningKey();
+  return { keys: [{ ...jwk, use: "sig", alg: "RS256" }] };
+};
+
+export const signLaunchToken = ({ uid, email, name, plan, toolId }) => {
+  const { privateKey, jwk } = getSigningKey();
+  const now = Math.floor(Date.now() / 1000);
+  const payload = {
+    iss: TOOL_TOKEN_ISSUER,
+    aud: toolId,
+    sub: uid,
+    email: email || "",
+    name: name || "",
+    plan,
+    iat: now,
+    exp: now + TOOL_TOKEN_TTL_SECONDS,
+    jti: randomUUID(),
+  };
+
+  const header = { alg: "RS256", typ: "JWT", kid: jwk.kid };
+  const unsigned = `${encodeSegment(header)}.${encodeSegment(payload)}`;
+  const signature = sign("RSA-SHA256", Buffer.from(unsigned), privateKey).toString("base64url");
+  return { token: `${unsigned}.${signature}`, payload };
+};
+
+export const verifyLaunchToken = (token, { toolId } = {}) => {
+  const { publicKey, jwk } = getSigningKey();
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) {
+    throw new Error("Malformed token");
+  }
+
+  const [headerSegment, payloadSegment, signatureSegment] = parts;
+  const header = decodeSegment(headerSegment);
+  if (header.alg !== "RS256" || header.kid !== jwk.kid) {
+    throw new Error("Unknown signing key");
+  }
+
+  const valid = verify(
+    "RSA-SHA256",
+    Buffer.from(`${headerSegment}.${payloadSegment}`),
+    publicKey,
+    Buffer.from(signatureSegment, "base64url")
+  );
+  if (!valid) {
+    throw new Error("Invalid signature");
+  }
+
+  const payload = decodeSegment(payloadSegment);
+  if (payload.iss !== TOOL_TOKEN_ISSUER) {
+    throw new Error("Invalid issuer");
+  }
+  if (toolId && payload.aud !== toolId) {
+    throw new Error("Invalid audience");
+  }
+  if (Math.floor(Date.now() / 1000) >= payload.exp) {
+    throw new Error("Token expired");
+  }
+
+  return payload;
+};
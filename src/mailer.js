@@ -0,0 +1,87 @@
+import { randomUUID } from "node:crypto";
+import { mkdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+import nodemailer from "nodemailer";
+
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || "console";
+const MAIL_FROM = process.env.MAIL_FROM || "Afiliados PRO <no-reply@afiliadospro.com>";
+const MAIL_FILE_DIR = process.env.MAIL_FILE_DIR || "./tmp/mail";
+const SMTP_HOST = process.env.SMTP_HOST || "";
+const SMTP_PORT = Number.parseInt(process.env.SMTP_PORT || "587", 10);
+const SMTP_SECURE = process.env.SMTP_SECURE === "true";
+const SMTP_USER = process.env.SMTP_USER || "";
+const SMTP_PASSWORD = process.env.SMTP_PASSWORD || "";
+const SMTP_TIMEOUT_MS = 15000;
+
+const messageOf = ({ to, subject, text, html }) => ({
+  from: MAIL_FROM,
+  to,
+  subject,
+  text,
+  html: html || text,
+});
+
+const createSmtpTransport = () => {
+  if (!SMTP_HOST) {
+    throw new Error("SMTP_HOST not configured");
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: SMTP_HOST,
+    port: SMTP_PORT,
+    secure: SMTP_SECURE,
+    ...(SMTP_USER ? { auth: { user: SMTP_USER, pass: SMTP_PASSWORD } } : {}),
+    connectionTimeout: SMTP_TIMEOUT_MS,
+    greetingTimeout: SMTP_TIMEOUT_MS,
+    socketTimeout: SMTP_TIMEOUT_MS,
+  });
+
+  return {
+    name: "smtp",
+    async send(message) {
+      await transporter.sendMail(messageOf(message));
+    },
+  };
+};
+
+// Writes each message as an .eml file, for local development and inspecting templates.
+const createFileTransport = () => {
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    name: "file",
+    async send(message) {
+      const { message: raw } = await transporter.sendMail(messageOf(message));
+      await mkdir(MAIL_FILE_DIR, { recursive: true });
+      const fileName = `${new Date().toISOString().replace(/[:.]/g, "-")}-${randomUUID()}.eml`;
+      await writeFile(path.join(MAIL_FILE_DIR, fileName), raw);
+    },
+  };
+};
+
+const createConsoleTransport = () => ({
+  name: "console",
+  async send({ to, subject, text }) {
+    console.log(`[mail] to=${to} subject=${subject}\n${text}`);
+  },
+});
+
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+let transport = null;
+
+// A transport is any object with `send({ to, subject, text, html })`.
+export const getMailTransport = () => {
+  if (!transport) {
+    const factory = transports[MAIL_TRANSPORT];
+    if (!factory) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${MAIL_TRANSPORT}"`);
+    }
+    transport = factory();
+  }
+  return transport;
+};
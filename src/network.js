@@ -0,0 +1,438 @@
+import { FieldValue } from "firebase-admin/firestore";
+import { db } from "./firebase.js";
+import { round2 } from "./fx.js";
+import { MAX_LEVELS, loadPlanCatalog } from "./plans.js";
+
+// `ancestors[0]` is the direct sponsor, `ancestors[level - 1]` the upline at that level.
+export const ancestorsFor = (referrer) => {
+  if (!referrer) return [];
+  return [referrer.id, ...(referrer.ancestors || [])].slice(0, MAX_LEVELS);
+};
+
+export const levelOf = (user, rootUid) => {
+  const index = (user.ancestors || []).indexOf(rootUid);
+  return index === -1 ? null : index + 1;
+};
+
+export const adjustNetworkCounts = (batch, ancestors, delta) => {
+  ancestors.forEach((ancestorId, index) => {
+    batch.set(
+      db.collection("stats").doc(ancestorId),
+      {
+        networkTotal: FieldValue.increment(delta),
+        networkCounts: { [index + 1]: FieldValue.increment(delta) },
+        updatedAt: FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+  });
+};
+
+// Running total of what `beneficiaryId` earned from each downline member, updated with every
+// commission write so the network view never scans the ledger. Own bundle sales are left out.
+export const adjustMemberEarnings = (writer, { beneficiaryId, memberId, amountUsd }) => {
+  if (!beneficiaryId || !memberId || memberId === beneficiaryId || !amountUsd) return;
+  writer.set(
+    db.collection("memberEarnings").doc(`${beneficiaryId}_${memberId}`),
+    {
+      beneficiaryId,
+      memberId,
+      earningsUsd: FieldValue.increment(round2(amountUsd)),
+      updatedAt: FieldValue.serverTimestamp(),
+    },
+    { merge: true }
+  );
+};
+
+const WRITE_BATCH_SIZE = 400;
+
+const commitInChunks = async (writes) => {
+  for (let i = 0; i < writes.length; i += WRITE_BATCH_SIZE) {
+    const batch = db.batch();
+    writes.slice(i, i + WRITE_BATCH_SIZE).forEach((write) => write(batch));
+    await batch.commit();
+  }
+};
+
+// Walks `referredBy` from `uid` upwards; true if `ancestorId` is found (or `uid` is `ancestorId`).
+export const isDescendantOf = async (uid, ancestorId, maxDepth = 1000) => {
+  let current = uid;
+  for (let depth = 0; current && depth < maxDepth; depth += 1) {
+    if (current === ancestorId) return true;
+    const snap = await db.collection("users").doc(current).get();
+    current = snap.data()?.referredBy || null;
+  }
+  return false;
+};
+
+// Recomputes `ancestors` for every user from `referredBy` and rewrites the per-level counters.
+export const backfillAncestry = async () => {
+  const snap = await db.collection("users").select("referredBy").get();
+  const sponsorOf = new Map(snap.docs.map((doc) => [doc.id, doc.data().referredBy || null]));
+
+  const ancestryOf = new Map();
+  const counts = new Map();
+  sponsorOf.forEach((_, uid) => {
+    const ancestors = [];
+    let current = sponsorOf.get(uid);
+    while (current && sponsorOf.has(current) && ancestors.length < MAX_LEVELS) {
+      if (current === uid || ancestors.includes(current)) break;
+      ancestors.push(current);
+      current = sponsorOf.get(current);
+    }
+    ancestryOf.set(uid, ancestors);
+    ancestors.forEach((ancestorId, index) => {
+      const row = counts.get(ancestorId) || {};
+      row[index + 1] = (row[index + 1] || 0) + 1;
+      counts.set(ancestorId, row);
+    });
+  });
+
+  const writes = [];
+  ancestryOf.forEach((ancestors, uid) => {
+    writes.push([db.collection("users").doc(uid), { ancestors }]);
+    const networkCounts = counts.get(uid) || {};
+    const networkTotal = Object.values(networkCounts).reduce((sum, value) => sum + value, 0);
+    writes.push([db.collection("stats").doc(uid), { networkCounts, networkTotal }]);
+  });
+
+  await commitInChunks(
+    writes.map(([ref, data]) => (batch) => batch.set(ref, data, { mergeFields: Object.keys(data) }))
+  );
+
+  return { users: ancestryOf.size, sponsors: counts.size };
+};
+
+/**
+ * Fills `memberId` on commissions written before it existed (payer for subscriptions, seller for
+ * bundle sales, the original's for clawbacks) and rebuilds `memberEarnings` from the ledger.
+ * Run once after deploying, before traffic writes new aggregates on top.
+ */
+export const backfillMemberEarnings = async () => {
+  const snap = await db
+    .collection("commissions")
+    .select(
+      "memberId",
+      "sourceUid",
+      "transactionId",
+      "reversalOf",
+      "beneficiaryId",
+      "amountUsd",
+      "status"
+    )
+    .get();
+  const commissions = new Map(snap.docs.map((doc) => [doc.id, doc.data()]));
+
+  const saleIds = [
+    ...new Set(
+      snap.docs
+        .map((doc) => doc.data())
+        .filter((data) => !data.memberId && !data.sourceUid && !data.reversalOf)
+        .map((data) => data.transactionId)
+        .filter(Boolean)
+    ),
+  ];
+  const sellerOf = new Map();
+  for (let i = 0; i < saleIds.length; i += 100) {
+    const refs = saleIds.slice(i, i + 100).map((id) => db.collection("bundleSales").doc(id));
+    const sales = await db.getAll(...refs);
+    sales.forEach((sale) => sellerOf.set(sale.id, sale.data()?.referrerId || null));
+  }
+
+  const memberOf = (data) => {
+    if (data.memberId || data.sourceUid) return data.memberId || data.sourceUid;
+    if (data.reversalOf) {
+      const original = commissions.get(data.reversalOf);
+      return original ? memberOf(original) : null;
+    }
+    return sellerOf.get(data.transactionId) || null;
+  };
+
+  const writes = [];
+  const totals = new Map();
+  commissions.forEach((data, id) => {
+    const memberId = memberOf(data);
+    if (memberId && !data.memberId) {
+      writes.push((batch) => batch.update(db.collection("commissions").doc(id), { memberId }));
+    }
+    if (!memberId || memberId === data.beneficiaryId || data.status === "cancelled") return;
+    const key = `${data.beneficiaryId}_${memberId}`;
+    const row = totals.get(key) || { beneficiaryId: data.beneficiaryId, memberId, earningsUsd: 0 };
+    row.earningsUsd = round2(row.earningsUsd + Number(data.amountUsd || 0));
+    totals.set(key, row);
+  });
+
+  const updatedCommissions = writes.length;
+  const now = FieldValue.serverTimestamp();
+  totals.forEach((row, key) => {
+    writes.push((batch) =>
+      batch.set(db.collection("memberEarnings").doc(key), { ...row, updatedAt: now })
+    );
+  });
+  await commitInChunks(writes);
+
+  return { commissions: updatedCommissions, aggregates: totals.size };
+};
+
+const networkEntry = (user, now) => ({
+  uid: user.id,
+  name: user.fullName || user.email || "",
+  plan: user.plan || "basic",
+  level: 1,
+  earnings: "$ 0.00",
+  createdAt: now,
+});
+
+// Moves pending commissions generated by `memberIds` to whoever now sits at the same level of
+// their upline. Approved, locked and paid commissions are never touched.
+const reassignPendingCommissions = async (memberIds, ancestryOf) => {
+  const catalog = await loadPlanCatalog();
+  const ids = [...memberIds];
+  const commissions = [];
+  for (let i = 0; i < ids.length; i += 30) {
+    const snap = await db
+      .collection("commissions")
+      .where("memberId", "in", ids.slice(i, i + 30))
+      .where("status", "==", "pending")
+      .get();
+    commissions.push(...snap.docs);
+  }
+
+  const planOf = new Map();
+  const loadPlan = async (uid) => {
+    if (!planOf.has(uid)) {
+      const snap = await db.collection("users").doc(uid).get();
+      planOf.set(uid, snap.data()?.plan || "basic");
+    }
+    return planOf.get(uid);
+  };
+
+  const now = FieldValue.serverTimestamp();
+  const statsDeltas = new Map();
+  const addDelta = (uid, amount) => {
+    statsDeltas.set(uid, round2((statsDeltas.get(uid) || 0) + amount));
+  };
+  const writes = [];
+  let moved = 0;
+  let cancelled = 0;
+
+  for (const doc of commissions) {
+    const data = doc.data();
+    const ancestors = ancestryOf.get(data.memberId) || [];
+    // Subscription chains start at the payer's sponsor, bundle chains at the seller.
+    const chain = data.sourceUid ? ancestors : [data.memberId, ...ancestors];
+    const nextBeneficiary = chain[data.level - 1] || null;
+    if (nextBeneficiary === data.beneficiaryId) continue;
+
+    const currentAmount = Number(data.amountUsd || 0);
+    const nextPercent = nextBeneficiary
+      ? catalog.levelPercent(await loadPlan(nextBeneficiary), data.level)
+      : 0;
+    addDelta(data.beneficiaryId, -currentAmount);
+    writes.push((batch) =>
+      adjustMemberEarnings(batch, {
+        beneficiaryId: data.beneficiaryId,
+        memberId: data.memberId,
+        amountUsd: -currentAmount,
+      })
+    );
+
+    if (!nextPercent || !data.percent) {
+      cancelled += 1;
+      writes.push((batch) =>
+        batch.update(doc.ref, {
+          status: "cancelled",
+          cancelledAt: now,
+          cancelReason: "sponsor-reassigned",
+          updatedAt: now,
+        })
+      );
+      continue;
+    }
+
+    const nextAmount = round2((currentAmount * nextPercent) / data.percent);
+    addDelta(nextBeneficiary, nextAmount);
+    moved += 1;
+    writes.push((batch) =>
+      adjustMemberEarnings(batch, {
+        beneficiaryId: nextBeneficiary,
+        memberId: data.memberId,
+        amountUsd: nextAmount,
+      })
+    );
+    writes.push((batch) =>
+      batch.update(doc.ref, {
+        beneficiaryId: nextBeneficiary,
+        percent: nextPercent,
+        amountUsd: nextAmount,
+        reassignedFrom: data.beneficiaryId,
+        updatedAt: now,
+      })
+    );
+  }
+
+  statsDeltas.forEach((delta, uid) => {
+    if (!delta) return;
+    writes.push((batch) =>
+      batch.set(
+        db.collection("stats").doc(uid),
+        {
+          totalEarningsUsd: FieldValue.increment(delta),
+          pendingBalanceUsd: FieldValue.increment(delta),
+          updatedAt: now,
+        },
+        { merge: true }
+      )
+    );
+  });
+
+  await commitInChunks(writes);
+  return { moved, cancelled };
+};
+
+const loadDownline = async (user) => {
+  const snap = await db.collection("users").where("ancestors", "array-contains", user.id).get();
+  const affected = new Map([[user.id, user]]);
+  snap.docs.forEach((doc) => affected.set(doc.id, { id: doc.id, ...doc.data() }));
+  return affected;
+};
+
+const directReferralsOf = (affected, uid) =>
+  [...affected.values()].filter((member) => member.referredBy === uid).map((member) => member.id);
+
+// Applies `nextSponsorOf` (uid -> new sponsor or null) to `affected`, recomputing ancestry, the
+// per-level counters and the `network` subcollections of everyone in it.
+const rewireNetwork = async ({ affected, nextSponsorOf, commissions = "keep" }) => {
+  const outsideIds = [...new Set(nextSponsorOf.values())].filter((id) => id && !affected.has(id));
+  const outsideAncestry = new Map(
+    await Promise.all(
+      outsideIds.map(async (id) => {
+        const snap = await db.collection("users").doc(id).get();
+        return [id, snap.data()?.ancestors || []];
+      })
+    )
+  );
+
+  const ancestryOf = new Map();
+  const resolve = (uid) => {
+    if (ancestryOf.has(uid)) return ancestryOf.get(uid);
+    if (!affected.has(uid)) return outsideAncestry.get(uid) || [];
+    const sponsorId = nextSponsorOf.has(uid)
+      ? nextSponsorOf.get(uid)
+      : affected.get(uid).referredBy;
+    const ancestors = sponsorId ? [sponsorId, ...resolve(sponsorId)].slice(0, MAX_LEVELS) : [];
+    ancestryOf.set(uid, ancestors);
+    return ancestors;
+  };
+  affected.forEach((_, uid) => resolve(uid));
+
+  const countDeltas = new Map();
+  const bump = (ancestors, delta) => {
+    ancestors.forEach((ancestorId, index) => {
+      const row = countDeltas.get(ancestorId) || {};
+      row[index + 1] = (row[index + 1] || 0) + delta;
+      countDeltas.set(ancestorId, row);
+    });
+  };
+
+  const now = FieldValue.serverTimestamp();
+  const writes = [];
+  const changedMembers = new Set();
+  affected.forEach((member, uid) => {
+    const previous = member.ancestors || [];
+    const next = ancestryOf.get(uid);
+    const sponsorChanged = nextSponsorOf.has(uid);
+    if (!sponsorChanged && previous.join("/") === next.join("/")) return;
+
+    changedMembers.add(uid);
+    bump(previous, -1);
+    bump(next, 1);
+    writes.push((batch) =>
+      batch.update(db.collection("users").doc(uid), {
+        ancestors: next,
+        ...(sponsorChanged ? { referredBy: nextSponsorOf.get(uid) } : {}),
+        updatedAt: now,
+      })
+    );
+
+    if (sponsorChanged) {
+      if (member.referredBy) {
+        writes.push((batch) =>
+          batch.delete(db.collection("users").doc(member.referredBy).collection("network").doc(uid))
+        );
+      }
+      const nextSponsorId = nextSponsorOf.get(uid);
+      if (nextSponsorId) {
+        writes.push((batch) =>
+          batch.set(
+            db.collection("users").doc(nextSponsorId).collection("network").doc(uid),
+            networkEntry(member, now)
+          )
+        );
+      }
+    }
+  });
+
+  countDeltas.forEach((row, ancestorId) => {
+    const levels = Object.entries(row).filter(([, delta]) => delta !== 0);
+    if (!levels.length) return;
+    const total = levels.reduce((sum, [, delta]) => sum + delta, 0);
+    writes.push((batch) =>
+      batch.set(
+        db.collection("stats").doc(ancestorId),
+        {
+          networkTotal: FieldValue.increment(total),
+          networkCounts: Object.fromEntries(
+            levels.map(([level, delta]) => [level, FieldValue.increment(delta)])
+          ),
+          updatedAt: now,
+        },
+        { merge: true }
+      )
+    );
+  });
+
+  await commitInChunks(writes);
+
+  const reassigned =
+    commissions === "reassign-pending"
+      ? await reassignPendingCommissions(changedMembers, ancestryOf)
+      : { moved: 0, cancelled: 0 };
+
+  return { updatedUsers: changedMembers.size, commissions: reassigned };
+};
+
+/**
+ * Re-parents `user` under `sponsor`. With `moveSubtree` the user's downline follows them;
+ * otherwise their direct referrals are handed to the user's previous sponsor.
+ * `commissions: "reassign-pending"` also moves not-yet-released commissions to the new upline.
+ */
+export const reassignSponsor = async ({
+  user,
+  sponsor,
+  moveSubtree = true,
+  commissions = "keep",
+}) => {
+  const oldSponsorId = user.referredBy || null;
+  const affected = await loadDownline(user);
+
+  const nextSponsorOf = new Map([[user.id, sponsor.id]]);
+  if (!moveSubtree) {
+    directReferralsOf(affected, user.id).forEach((uid) => nextSponsorOf.set(uid, oldSponsorId));
+  }
+
+  const result = await rewireNetwork({ affected, nextSponsorOf, commissions });
+  return { previousSponsorId: oldSponsorId, sponsorId: sponsor.id, ...result };
+};
+
+// Takes `user` out of the tree before deletion: their direct referrals move to `heirId`
+// (or become roots when null) and every counter that included the user is decremented.
+export const detachUser = async ({ user, heirId = null }) => {
+  const affected = await loadDownline(user);
+  const nextSponsorOf = new Map([[user.id, null]]);
+  const referrals = directReferralsOf(affected, user.id);
+  referrals.forEach((uid) => nextSponsorOf.set(uid, heirId));
+
+  const result = await rewireNetwork({ affected, nextSponsorOf });
+  return { heirId, reparented: referrals.length, updatedUsers: result.updatedUsers };
+};
@@ -0,0 +1,186 @@
+import { FieldValue, Timestamp } from "firebase-admin/firestore";
+import { db } from "./firebase.js";
+import { getMailTransport } from "./mailer.js";
+
+const APP_BASE_URL = process.env.APP_BASE_URL || "";
+
+const usd = (value) => `$ ${Number(value || 0).toFixed(2)}`;
+
+// Each template returns a subject and its paragraphs; the greeting is added on send.
+const templates = {
+  newMember: ({ memberName }) => ({
+    subject: "Tienes un nuevo miembro en tu red",
+    paragraphs: [
+      `${memberName} se unio a tu red como referido directo.`,
+      `Revisa tu equipo en ${APP_BASE_URL}/red`,
+    ],
+  }),
+  saleCommission: ({ amountUsd, level, source }) => ({
+    subject: `Nueva comision de ${usd(amountUsd)}`,
+    paragraphs: [
+      `Generaste una comision de ${usd(amountUsd)} (nivel ${level}) por ${
+        source === "bundle" ? "una venta del bundle" : "el pago de un plan"
+      } en tu red.`,
+      "Quedara disponible para retiro cuando termine el periodo de retencion.",
+      `${APP_BASE_URL}/comisiones`,
+    ],
+  }),
+  commissionReleased: ({ amountUsd }) => ({
+    subject: `${usd(amountUsd)} ya estan disponibles para retiro`,
+    paragraphs: [
+      `Se liberaron comisiones por ${usd(amountUsd)}. Ya puedes solicitar tu retiro.`,
+      `${APP_BASE_URL}/retiros`,
+    ],
+  }),
+  planActivated: ({ planName }) => ({
+    subject: `Tu plan ${planName} esta activo`,
+    paragraphs: [
+      `Tu plan ${planName} ya esta activo. Gracias por confiar en Afiliados PRO.`,
+      APP_BASE_URL,
+    ],
+  }),
+  paymentFailed: ({ planName }) => ({
+    subject: "No pudimos procesar tu pago",
+    paragraphs: [
+      `El cobro de tu plan ${planName} fallo y tu suscripcion quedo suspendida.`,
+      "Actualiza tu metodo de pago para no perder tus comisiones.",
+      `${APP_BASE_URL}/suscripcion`,
+    ],
+  }),
+};
+
+export const NOTIFICATION_TYPES = Object.keys(templates);
+
+export const notificationPreferences = (user) =>
+  Object.fromEntries(
+    NOTIFICATION_TYPES.map((type) => [type, user?.notificationPrefs?.[type] !== false])
+  );
+
+const htmlEntities = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" };
+const escapeHtml = (value) => String(value).replace(/[&<>"]/g, (char) => htmlEntities[char]);
+
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_SECONDS = 5 * 60;
+const SEND_LEASE_MS = 5 * 60 * 1000;
+
+const renderAndSend = async (uid, type, data) => {
+  const snap = await db.collection("users").doc(uid).get();
+  const user = snap.data();
+  if (!user?.email || user.disabled || user.status === "DELETED") return "skipped";
+  if (!notificationPreferences(user)[type]) return "skipped";
+
+  const { subject, paragraphs } = templates[type](data);
+  const body = [`Hola ${user.fullName || user.email},`, ...paragraphs.filter(Boolean)];
+  await getMailTransport().send({
+    to: user.email,
+    subject,
+    text: body.join("\n\n"),
+    html: body.map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`).join("\n"),
+  });
+  return "sent";
+};
+
+/**
+ * Queues an email in `notificationOutbox`; `deliverDueNotifications` sends it. `key` identifies
+ * what triggered it (payment, sale, event id): the same type/user/key is queued only once, so
+ * webhook replays and retries don't repeat emails. Call it after the triggering write commits.
+ * Never throws: a failed email must not roll back or fail the action that triggered it.
+ */
+export const queueNotification = async (uid, type, data = {}, { key } = {}) => {
+  try {
+    const outbox = db.collection("notificationOutbox");
+    const ref = key
+      ? outbox.doc(`${type}_${uid}_${String(key).replace(/\//g, "_")}`)
+      : outbox.doc();
+    await ref.create({
+      uid,
+      type,
+      data,
+      status: "pending",
+      attempts: 0,
+      nextAttemptAt: Timestamp.now(),
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    return true;
+  } catch (error) {
+    if (error?.code === 6) return false;
+    console.error(`Notification ${type} for ${uid} not queued: ${error?.message || error}`);
+    return false;
+  }
+};
+
+export const queueCommissionNotifications = (commissions, { source, transactionId }) =>
+  Promise.all(
+    commissions.map((commission) =>
+      queueNotification(
+        commission.beneficiaryId,
+        "saleCommission",
+        { amountUsd: commission.amountUsd, level: commission.level, source },
+        { key: transactionId }
+      )
+    )
+  );
+
+// Claims the message by pushing `nextAttemptAt` out by a lease, so overlapping job runs don't
+// send it twice and a run that dies mid-send leaves it to be retried later.
+const claimNotification = (ref) =>
+  db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const item = snap.data();
+    if (item?.status !== "pending" || item.nextAttemptAt?.toMillis() > Date.now()) {
+      return null;
+    }
+    tx.update(ref, {
+      attempts: FieldValue.increment(1),
+      nextAttemptAt: Timestamp.fromMillis(Date.now() + SEND_LEASE_MS),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    return { ...item, attempts: Number(item.attempts || 0) + 1 };
+  });
+
+const deliverNotification = async (ref) => {
+  const item = await claimNotification(ref);
+  if (!item) return "claimed";
+
+  const now = FieldValue.serverTimestamp();
+  try {
+    const status = await renderAndSend(item.uid, item.type, item.data || {});
+    await ref.update({
+      status,
+      lastError: FieldValue.delete(),
+      nextAttemptAt: FieldValue.delete(),
+      sentAt: now,
+      updatedAt: now,
+    });
+    return status;
+  } catch (error) {
+    const exhausted = item.attempts >= MAX_ATTEMPTS;
+    console.error(`Notification ${item.type} for ${item.uid} failed: ${error?.message || error}`);
+    await ref.update({
+      status: exhausted ? "failed" : "pending",
+      lastError: error?.message || "Send error",
+      nextAttemptAt: exhausted
+        ? FieldValue.delete()
+        : Timestamp.fromMillis(Date.now() + RETRY_BASE_SECONDS * 2 ** (item.attempts - 1) * 1000),
+      updatedAt: now,
+    });
+    return exhausted ? "failed" : "pending";
+  }
+};
+
+export const deliverDueNotifications = async ({ limit = 100 } = {}) => {
+  const snap = await db
+    .collection("notificationOutbox")
+    .where("status", "==", "pending")
+    .where("nextAttemptAt", "<=", Timestamp.now())
+    .orderBy("nextAttemptAt", "asc")
+    .limit(limit)
+    .get();
+
+  const summary = { sent: 0, skipped: 0, pending: 0, failed: 0, claimed: 0 };
+  for (const doc of snap.docs) {
+    summary[await deliverNotification(doc.ref)] += 1;
+  }
+  return { due: snap.size, ...summary };
+};
@@ -0,0 +1,256 @@
+import { createHmac, randomBytes } from "node:crypto";
+import { lookup } from "node:dns/promises";
+import { BlockList, isIP } from "node:net";
+import { FieldValue, Timestamp } from "firebase-admin/firestore";
+import { db } from "./firebase.js";
+
+export const OUTBOUND_EVENT_TYPES = [
+  "sale.recorded",
+  "commission.created",
+  "commission.released",
+  "plan.changed",
+  "member.joined",
+];
+
+const TIMEOUT_MS = Number.parseInt(process.env.OUTBOUND_WEBHOOK_TIMEOUT_MS || "5000", 10);
+const MAX_ATTEMPTS = Number.parseInt(process.env.OUTBOUND_WEBHOOK_MAX_ATTEMPTS || "8", 10);
+const RETRY_BASE_SECONDS = 60;
+const RETRY_MAX_SECONDS = 6 * 60 * 60;
+const DELIVERY_LEASE_MS = TIMEOUT_MS + 60 * 1000;
+
+export const SIGNATURE_HEADER = "x-afiliados-signature";
+
+export const createEndpointSecret = () => `whsec_${randomBytes(24).toString("hex")}`;
+
+// Same scheme as Stripe: HMAC-SHA256 over "<timestamp>.<raw body>", sent as "t=...,v1=...".
+export const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+};
+
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast and other non-public ranges.
+const blockedAddresses = new BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, "ipv4"));
+[
+  ["::", 127],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, "ipv6"));
+
+/**
+ * True when every address the URL's host resolves to is public. Checked when an endpoint is
+ * created and again before each delivery, since DNS can change after the endpoint was saved.
+ */
+export const isPublicWebhookUrl = async (url) => {
+  try {
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, "");
+    const addresses = isIP(host)
+      ? [{ address: host, family: isIP(host) }]
+      : await lookup(host, { all: true, verbatim: true });
+    return (
+      addresses.length > 0 &&
+      addresses.every(
+        ({ address, family }) => !blockedAddresses.check(address, family === 6 ? "ipv6" : "ipv4")
+      )
+    );
+  } catch {
+    return false;
+  }
+};
+
+const retryDelaySeconds = (attempts) =>
+  Math.min(RETRY_BASE_SECONDS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_SECONDS);
+
+const endpointsFor = async (type, uids) => {
+  const endpoints = new Map();
+  const owners = [...new Set(uids.filter(Boolean))];
+  const endpointsRef = db.collection("webhookEndpoints");
+  const queries = [endpointsRef.where("ownerUid", "==", null)];
+  for (let i = 0; i < owners.length; i += 30) {
+    queries.push(endpointsRef.where("ownerUid", "in", owners.slice(i, i + 30)));
+  }
+
+  const snaps = await Promise.all(
+    queries.map((query) =>
+      query.where("active", "==", true).where("events", "array-contains", type).get()
+    )
+  );
+  snaps.forEach((snap) => snap.docs.forEach((doc) => endpoints.set(doc.id, doc)));
+  return [...endpoints.values()];
+};
+
+// Moves a due delivery to `delivering` with a lease in `nextAttemptAt`, so the job, a manual
+// redelivery and overlapping job runs never post it twice; a lease left by a crashed run expires.
+const claimDelivery = (deliveryRef) =>
+  db.runTransaction(async (tx) => {
+    const snap = await tx.get(deliveryRef);
+    const delivery = snap.data();
+    if (
+      !["pending", "delivering"].includes(delivery?.status) ||
+      delivery.nextAttemptAt?.toMillis() > Date.now()
+    ) {
+      return null;
+    }
+    tx.update(deliveryRef, {
+      status: "delivering",
+      nextAttemptAt: Timestamp.fromMillis(Date.now() + DELIVERY_LEASE_MS),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    return delivery;
+  });
+
+const attemptDelivery = async (deliveryRef) => {
+  const delivery = await claimDelivery(deliveryRef);
+  if (!delivery) return "skipped";
+  const endpointSnap = await db.collection("webhookEndpoints").doc(delivery.endpointId).get();
+  const endpoint = endpointSnap.data();
+  const attempts = Number(delivery.attempts || 0) + 1;
+  const now = FieldValue.serverTimestamp();
+
+  if (!endpoint || endpoint.active === false) {
+    await deliveryRef.update({
+      status: "failed",
+      lastError: "Endpoint disabled",
+      nextAttemptAt: FieldValue.delete(),
+      updatedAt: now,
+    });
+    return "failed";
+  }
+
+  let statusCode = null;
+  let error = null;
+  try {
+    if (!(await isPublicWebhookUrl(endpoint.url))) {
+      throw new Error("Endpoint does not resolve to a public address");
+    }
+    const response = await fetch(endpoint.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "AfiliadosPro-Webhooks/1.0",
+        "x-afiliados-event": delivery.type,
+        "x-afiliados-delivery": deliveryRef.id,
+        [SIGNATURE_HEADER]: signPayload(endpoint.secret, delivery.payload),
+      },
+      body: delivery.payload,
+      redirect: "manual",
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+    statusCode = response.status;
+    if (!response.ok) {
+      error = `HTTP ${response.status}`;
+    }
+  } catch (fetchError) {
+    error =
+      fetchError?.name === "TimeoutError" ? "Timeout" : fetchError?.message || "Network error";
+  }
+
+  if (!error) {
+    await deliveryRef.update({
+      status: "succeeded",
+      attempts,
+      lastStatusCode: statusCode,
+      lastError: FieldValue.delete(),
+      nextAttemptAt: FieldValue.delete(),
+      deliveredAt: now,
+      updatedAt: now,
+    });
+    return "succeeded";
+  }
+
+  const exhausted = attempts >= MAX_ATTEMPTS;
+  await deliveryRef.update({
+    status: exhausted ? "failed" : "pending",
+    attempts,
+    lastStatusCode: statusCode,
+    lastError: error,
+    nextAttemptAt: exhausted
+      ? FieldValue.delete()
+      : Timestamp.fromMillis(Date.now() + retryDelaySeconds(attempts) * 1000),
+    updatedAt: now,
+  });
+  return exhausted ? "failed" : "pending";
+};
+
+/**
+ * Queues `type` for every active endpoint subscribed to it: global (admin) endpoints always,
+ * member endpoints only when their owner is in `uids`. Nothing is sent here, so the request that
+ * emitted the event never waits on a receiver; `deliverDueWebhooks` sends and retries.
+ * Never throws.
+ */
+export const emitEvent = async (type, data, { uids = [] } = {}) => {
+  try {
+    const endpoints = await endpointsFor(type, uids);
+    if (!endpoints.length) return 0;
+
+    const eventId = `evt_${randomBytes(12).toString("hex")}`;
+    const createdAt = new Date().toISOString();
+    const payload = JSON.stringify({ id: eventId, type, createdAt, data });
+    const batch = db.batch();
+    endpoints.forEach((endpoint) => {
+      batch.set(db.collection("webhookDeliveries").doc(), {
+        eventId,
+        type,
+        endpointId: endpoint.id,
+        ownerUid: endpoint.data().ownerUid ?? null,
+        url: endpoint.data().url,
+        payload,
+        status: "pending",
+        attempts: 0,
+        nextAttemptAt: Timestamp.now(),
+        createdAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+    });
+    await batch.commit();
+    return endpoints.length;
+  } catch (error) {
+    console.error(`Outbound webhook ${type} failed: ${error?.message || error}`);
+    return 0;
+  }
+};
+
+export const redeliver = async (deliveryRef) => {
+  const queued = await db.runTransaction(async (tx) => {
+    const delivery = (await tx.get(deliveryRef)).data();
+    if (delivery?.status === "delivering" && delivery.nextAttemptAt?.toMillis() > Date.now()) {
+      return false;
+    }
+    tx.update(deliveryRef, {
+      status: "pending",
+      nextAttemptAt: Timestamp.now(),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    return true;
+  });
+  return queued ? attemptDelivery(deliveryRef) : "delivering";
+};
+
+export const deliverDueWebhooks = async ({ limit = 100 } = {}) => {
+  const snap = await db
+    .collection("webhookDeliveries")
+    .where("status", "in", ["pending", "delivering"])
+    .where("nextAttemptAt", "<=", Timestamp.now())
+    .orderBy("nextAttemptAt")
+    .limit(limit)
+    .get();
+
+  const summary = { attempted: snap.size, succeeded: 0, pending: 0, failed: 0, skipped: 0 };
+  for (const doc of snap.docs) {
+    const status = await attemptDelivery(doc.ref).catch(() => "pending");
+    summary[status] += 1;
+  }
+  return summary;
+};
@@ -68,3 +68,131 @@ export const verifyPaypalWebhook = async (headers, event) => {
 
   return data?.verification_status === "SUCCESS";
 };
+
+export const createPaypalPayoutBatch = async ({ senderBatchId, items, emailSubject }) => {
+  const accessToken = await getPaypalToken();
+  const response = await fetch(`${getPaypalBaseUrl()}/v1/payments/payouts`, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      sender_batch_header: {
+        sender_batch_id: senderBatchId,
+        email_subject: emailSubject || "Tienes un pago de Afiliados PRO",
+      },
+      items: items.map((item) => ({
+        recipient_type: "EMAIL",
+        amount: {
+          value: Number(item.amountUsd).toFixed(2),
+          currency: "USD",
+        },
+        receiver: item.receiver,
+        note: item.note || "Pago de comisiones Afiliados PRO",
+        sender_item_id: item.senderItemId,
+      })),
+    }),
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(data?.message || "PayPal payout error");
+    error.status = response.status;
+    error.paypalBatchId = data?.batch_header?.payout_batch_id || null;
+    throw error;
+  }
+
+  return data?.batch_header || {};
+};
+
+export const getPaypalPayoutBatch = async (payoutBatchId) => {
+  const accessToken = await getPaypalToken();
+  const response = await fetch(
+    `${getPaypalBaseUrl()}/v1/payments/payouts/${encodeURIComponent(payoutBatchId)}`,
+    {
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        "Content-Type": "application/json",
+      },
+    }
+  );
+
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data?.message || "PayPal payout lookup error");
+  }
+
+  return data;
+};
+
+export const getPaypalSubscription = async (subscriptionId) => {
+  const accessToken = await getPaypalToken();
+  const response = await fetch(
+    `${getPaypalBaseUrl()}/v1/billing/subscriptions/${encodeURIComponent(subscriptionId)}`,
+    {
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        "Content-Type": "application/json",
+      },
+    }
+  );
+
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data?.message || "PayPal subscription lookup error");
+  }
+
+  return data;
+};
+
+export const revisePaypalSubscription = async (subscriptionId, { planId, returnUrl, cancelUrl }) => {
+  const accessToken = await getPaypalToken();
+  const response = await fetch(
+    `${getPaypalBaseUrl()}/v1/billing/subscriptions/${encodeURIComponent(subscriptionId)}/revise`,
+    {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        plan_id: planId,
+        application_context: {
+          brand_name: "Afiliados PRO",
+          locale: "es-PE",
+          user_action: "CONTINUE",
+          return_url: returnUrl,
+          cancel_url: cancelUrl,
+        },
+      }),
+    }
+  );
+
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data?.message || "PayPal revise error");
+  }
+
+  return data;
+};
+
+export const cancelPaypalSubscription = async (subscriptionId, reason) => {
+  const accessToken = await getPaypalToken();
+  const response = await fetch(
+    `${getPaypalBaseUrl()}/v1/billing/subscriptions/${encodeURIComponent(subscriptionId)}/cancel`,
+    {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ reason: reason || "Cancelado por el usuario" }),
+    }
+  );
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data?.message || "PayPal cancel error");
+  }
+};
@@ -0,0 +1,134 @@
+import { db } from "./firebase.js";
+
+export const MAX_LEVELS = 4;
+
+const PLAN_CACHE_TTL_MS = Number.parseInt(process.env.PLAN_CACHE_TTL_SECONDS || "60", 10) * 1000;
+
+export const defaultPlans = () => [
+  {
+    id: "basic",
+    name: "Basico",
+    pricePen: 50,
+    priceUsd: null,
+    description: "Ideal para comenzar con tus herramientas y generar tus primeras comisiones.",
+    features: [
+      "Acceso a 3 Apps (ContApp, Fast Page, Lead Widget)",
+      "Comision Nivel 1: 50%",
+      "Soporte por email",
+      "Panel de afiliados basico",
+    ],
+    unlockedLevels: 1,
+    levelPercents: [50, 20, 10, 5],
+    paypalPlanId: process.env.PAYPAL_PLAN_ID_BASIC || "",
+    order: 0,
+    active: true,
+  },
+  {
+    id: "pro",
+    name: "Pro",
+    pricePen: 75,
+    priceUsd: null,
+    description: "Desbloquea el siguiente nivel de comisiones y maximiza tu red.",
+    features: [
+      "Todo en Basico",
+      "Comision Nivel 2: 20% (Total: 70%)",
+      "Reportes avanzados",
+      "Soporte prioritario",
+      "Badge exclusivo de Pro",
+    ],
+    unlockedLevels: 2,
+    levelPercents: [50, 20, 10, 5],
+    paypalPlanId: process.env.PAYPAL_PLAN_ID_PRO || "",
+    order: 1,
+    active: true,
+  },
+  {
+    id: "elite",
+    name: "Elite",
+    pricePen: 99,
+    priceUsd: null,
+    description: "Acceso VIP. Desbloquea los 4 niveles y maximiza tus ingresos pasivos.",
+    features: [
+      "Todo en Pro",
+      "Comision Nivel 3: 10%",
+      "Comision Nivel 4: 5% (Total: 85%)",
+      "Acceso VIP a nuevas herramientas",
+      "Soporte 1:1 personalizado",
+      "Webinars exclusivos",
+    ],
+    unlockedLevels: 4,
+    levelPercents: [50, 20, 10, 5],
+    paypalPlanId: process.env.PAYPAL_PLAN_ID_ELITE || "",
+    order: 2,
+    active: true,
+  },
+];
+
+const levelPercentOf = (plan, level) => {
+  if (!plan || level > Math.min(plan.unlockedLevels || 1, MAX_LEVELS)) return 0;
+  return Number(plan.levelPercents?.[level - 1] || 0);
+};
+
+const totalPercentOf = (plan) => {
+  let total = 0;
+  for (let level = 1; level <= MAX_LEVELS; level += 1) {
+    total += levelPercentOf(plan, level);
+  }
+  return total;
+};
+
+const buildCatalog = (allPlans) => {
+  const sorted = [...allPlans].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+  const plans = sorted.filter((plan) => plan.active !== false);
+  const byId = new Map(sorted.map((plan) => [plan.id, plan]));
+  const ranks = new Map(sorted.map((plan, index) => [plan.id, index]));
+
+  return {
+    plans,
+    allPlans: sorted,
+    get: (planId) => byId.get(planId) || null,
+    isPurchasable: (planId) => byId.has(planId) && byId.get(planId).active !== false,
+    rank: (planId) => ranks.get(planId) ?? 0,
+    label: (planId) => byId.get(planId)?.name || sorted[0]?.name || "Basico",
+    levelCap: (planId) => Math.min(byId.get(planId)?.unlockedLevels || 1, MAX_LEVELS),
+    levelPercent: (planId, level) => levelPercentOf(byId.get(planId), level),
+    totalPercent: (planId) => totalPercentOf(byId.get(planId)),
+    pricePen: (planId) => byId.get(planId)?.pricePen ?? null,
+    paypalPlanId: (planId) => byId.get(planId)?.paypalPlanId || null,
+    fromPaypalPlanId: (paypalPlanId) => {
+      if (!paypalPlanId) return null;
+      return sorted.find((plan) => plan.paypalPlanId === paypalPlanId)?.id || null;
+    },
+  };
+};
+
+let cached = null;
+let cachedAt = 0;
+
+export const invalidatePlanCatalog = () => {
+  cached = null;
+  cachedAt = 0;
+};
+
+export const loadPlanCatalog = async () => {
+  if (cached && Date.now() - cachedAt < PLAN_CACHE_TTL_MS) {
+    return cached;
+  }
+
+  const snap = await db.collection("plans").get();
+  const stored = snap.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  cached = buildCatalog(stored.length ? stored : defaultPlans());
+  cachedAt = Date.now();
+  return cached;
+};
+
+export const serializePlan = (plan, catalog) => ({
+  id: plan.id,
+  name: plan.name,
+  price: plan.pricePen,
+  priceUsd: plan.priceUsd ?? null,
+  commission: catalog.totalPercent(plan.id),
+  description: plan.description || "",
+  features: plan.features || [],
+  unlockedLevels: catalog.levelCap(plan.id),
+});
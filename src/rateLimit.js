@@ -0,0 +1,116 @@
+import { createHash } from "node:crypto";
+import { FieldValue, Timestamp } from "firebase-admin/firestore";
+import { db } from "./firebase.js";
+
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || "memory";
+const RATE_LIMIT_DISABLED = process.env.RATE_LIMIT_DISABLED === "true";
+const MEMORY_SWEEP_SIZE = 10000;
+const FIRESTORE_SHARDS = 4;
+
+// Fixed windows: every hit returns the count so far in the current window and when it resets.
+const createMemoryStore = () => {
+  const windows = new Map();
+  return {
+    name: "memory",
+    async hit(key, windowMs) {
+      const now = Date.now();
+      if (windows.size > MEMORY_SWEEP_SIZE) {
+        windows.forEach((entry, entryKey) => {
+          if (entry.resetAt <= now) windows.delete(entryKey);
+        });
+      }
+
+      const entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        const fresh = { count: 1, resetAt: now + windowMs };
+        windows.set(key, fresh);
+        return fresh;
+      }
+      entry.count += 1;
+      return entry;
+    },
+  };
+};
+
+// `FIRESTORE_SHARDS` documents per key and window in `rateLimits`, so every Cloud Run instance
+// shares the count. A hit increments one random shard without a transaction (no contention on busy
+// keys) and the count is the sum of the shards. Configure a TTL policy on `expiresAt` to have
+// Firestore purge old windows.
+const createFirestoreStore = () => ({
+  name: "firestore",
+  async hit(key, windowMs) {
+    const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+    const resetAt = windowStart + windowMs;
+    const prefix = `${createHash("sha256").update(key).digest("hex").slice(0, 40)}_${windowStart}`;
+    const shards = Array.from({ length: FIRESTORE_SHARDS }, (_, shard) =>
+      db.collection("rateLimits").doc(`${prefix}_${shard}`)
+    );
+
+    await shards[Math.floor(Math.random() * FIRESTORE_SHARDS)].set(
+      { count: FieldValue.increment(1), expiresAt: Timestamp.fromMillis(resetAt) },
+      { merge: true }
+    );
+    const snaps = await db.getAll(...shards);
+    const count = snaps.reduce((sum, snap) => sum + Number(snap.data()?.count || 0), 0);
+    return { count, resetAt };
+  },
+});
+
+const stores = {
+  memory: createMemoryStore,
+  firestore: createFirestoreStore,
+};
+
+let store = null;
+
+const getStore = () => {
+  if (!store) {
+    const factory = stores[RATE_LIMIT_STORE];
+    if (!factory) {
+      throw new Error(`Unknown RATE_LIMIT_STORE "${RATE_LIMIT_STORE}"`);
+    }
+    store = factory();
+  }
+  return store;
+};
+
+// `RATE_LIMIT_<NAME>=<max>/<seconds>` overrides a limiter's default, e.g.
+// `RATE_LIMIT_REFERRAL_VALIDATE=10/60`; `0/<seconds>` turns that limiter off.
+const configuredLimit = (name, max, windowSeconds) => {
+  const raw = process.env[`RATE_LIMIT_${name.toUpperCase().replace(/-/g, "_")}`] || "";
+  const match = /^(\d+)\/(\d+)$/.exec(raw.trim());
+  if (!match) return { max, windowMs: windowSeconds * 1000 };
+  return { max: Number(match[1]), windowMs: Number(match[2]) * 1000 };
+};
+
+/**
+ * Express middleware allowing `max` requests per `windowSeconds` for each value returned by
+ * `key(req)` (an IP, uid or API key id); requests with no key are not counted. Over the limit it
+ * answers 429 with `Retry-After`. If the store fails the request goes through.
+ */
+export const rateLimit = ({ name, max, windowSeconds, key }) => {
+  const limit = configuredLimit(name, max, windowSeconds);
+
+  return async (req, res, next) => {
+    const subject = key(req);
+    if (RATE_LIMIT_DISABLED || !limit.max || !subject) return next();
+
+    let hit;
+    try {
+      hit = await getStore().hit(`${name}:${subject}`, limit.windowMs);
+    } catch (error) {
+      console.error(`Rate limit ${name} unavailable: ${error?.message || error}`);
+      return next();
+    }
+
+    const resetSeconds = Math.max(Math.ceil((hit.resetAt - Date.now()) / 1000), 1);
+    res.setHeader("RateLimit-Limit", String(limit.max));
+    res.setHeader("RateLimit-Remaining", String(Math.max(limit.max - hit.count, 0)));
+    res.setHeader("RateLimit-Reset", String(resetSeconds));
+    if (hit.count > limit.max) {
+      res.setHeader("Retry-After", String(resetSeconds));
+      return res.status(429).json({ error: "Too many requests" });
+    }
+    return next();
+  };
+};
@@ -0,0 +1,64 @@
+import { createHash, randomBytes, timingSafeEqual } from "node:crypto";
+import { FieldValue, Timestamp } from "firebase-admin/firestore";
+import { db } from "./firebase.js";
+
+export const SALES_KEY_SCOPES = ["sales:write", "refunds:write"];
+
+const KEY_PATTERN = /^ask_([A-Za-z0-9]{20})_([a-f0-9]{48})$/;
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const hashKey = (key) => createHash("sha256").update(key).digest("hex");
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && timingSafeEqual(left, right);
+};
+
+/**
+ * Creates a key for one sales source. The plain key is returned once and only its SHA-256
+ * is stored; the document id is embedded in the key so lookups don't need an index.
+ * `audit(batch, ref)` may add entries that must commit together with the key.
+ */
+export const createSalesKey = async ({ label, source, scopes }, createdBy, { audit } = {}) => {
+  const ref = db.collection("salesApiKeys").doc();
+  const key = `ask_${ref.id}_${randomBytes(24).toString("hex")}`;
+  const batch = db.batch();
+  batch.set(ref, {
+    label,
+    source,
+    scopes,
+    keyHash: hashKey(key),
+    keyPrefix: key.slice(0, 12),
+    active: true,
+    lastUsedAt: null,
+    createdBy,
+    createdAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+  audit?.(batch, ref);
+  await batch.commit();
+  return { ref, key };
+};
+
+// Resolves a presented key to its active document, or null. `lastUsedAt` is refreshed at most
+// once a minute so busy integrations don't turn every sale into an extra write.
+export const findSalesKey = async (presented) => {
+  const match = KEY_PATTERN.exec(String(presented || ""));
+  if (!match) return null;
+
+  const snap = await db.collection("salesApiKeys").doc(match[1]).get();
+  const data = snap.data();
+  if (!data || data.active === false || !safeEqual(data.keyHash, hashKey(presented))) {
+    return null;
+  }
+
+  const lastUsedMs = data.lastUsedAt?.toMillis?.() || 0;
+  if (Date.now() - lastUsedMs > LAST_USED_RESOLUTION_MS) {
+    snap.ref.update({ lastUsedAt: Timestamp.now() }).catch(() => null);
+  }
+  return { id: snap.id, ...data };
+};
+
+export const matchesLegacyKey = (presented, legacyKey) =>
+  !!legacyKey && !!presented && safeEqual(presented, legacyKey);
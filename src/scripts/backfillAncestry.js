@@ -0,0 +1,11 @@
+import { backfillAncestry } from "../network.js";
+
+backfillAncestry()
+  .then((summary) => {
+    console.log(`Backfilled ancestry for ${summary.users} users (${summary.sponsors} with downline)`);
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
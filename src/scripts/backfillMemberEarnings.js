@@ -0,0 +1,13 @@
+import { backfillMemberEarnings } from "../network.js";
+
+backfillMemberEarnings()
+  .then((summary) => {
+    console.log(
+      `Filled memberId on ${summary.commissions} commissions, wrote ${summary.aggregates} totals`
+    );
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
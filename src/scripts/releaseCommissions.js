@@ -0,0 +1,15 @@
+import { releaseDueCommissions } from "../jobs/releaseCommissions.js";
+
+const batchSize = Number.parseInt(process.env.RELEASE_BATCH_SIZE || "200", 10);
+
+releaseDueCommissions({ batchSize })
+  .then((summary) => {
+    console.log(
+      `Released ${summary.released} commissions for ${summary.beneficiaries} beneficiaries in ${summary.batches} batches`
+    );
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
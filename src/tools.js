@@ -0,0 +1,70 @@
+import { db } from "./firebase.js";
+
+const TOOL_CACHE_TTL_MS = Number.parseInt(process.env.TOOL_CACHE_TTL_SECONDS || "60", 10) * 1000;
+
+export const defaultTools = () => [
+  {
+    id: "contapp",
+    name: "ContApp",
+    description: "Sistema de contabilidad inteligente para freelancers y PYMEs.",
+    color: "emerald",
+    icon: "calculator",
+    url: process.env.TOOL_URL_CONTAPP || "",
+    minPlan: "basic",
+    order: 0,
+    active: true,
+  },
+  {
+    id: "fastpage",
+    name: "Fast Page",
+    description: "Crea landing pages profesionales en minutos, sin codigo.",
+    color: "blue",
+    icon: "layout",
+    url: process.env.TOOL_URL_FASTPAGE || "",
+    minPlan: "basic",
+    order: 1,
+    active: true,
+  },
+  {
+    id: "leadwidget",
+    name: "Lead Widget",
+    description: "Captura leads automaticamente desde tu web o redes sociales.",
+    color: "purple",
+    icon: "magnet",
+    url: process.env.TOOL_URL_LEADWIDGET || "",
+    minPlan: "basic",
+    order: 2,
+    active: true,
+  },
+];
+
+let cached = null;
+let cachedAt = 0;
+
+export const invalidateToolCatalog = () => {
+  cached = null;
+  cachedAt = 0;
+};
+
+export const loadTools = async () => {
+  if (cached && Date.now() - cachedAt < TOOL_CACHE_TTL_MS) {
+    return cached;
+  }
+
+  const snap = await db.collection("tools").get();
+  const stored = snap.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  cached = (stored.length ? stored : defaultTools()).sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+  cachedAt = Date.now();
+  return cached;
+};
+
+export const serializeTool = (tool, status) => ({
+  id: tool.id,
+  name: tool.name,
+  description: tool.description || "",
+  color: tool.color || "default",
+  icon: tool.icon || null,
+  minPlan: tool.minPlan || "basic",
+  launchable: status === "active" && !!tool.url,
+  status,
+});